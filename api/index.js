@@ -1,4 +1,4 @@
-// Complete Fastify server with PROVEN WORKING SYNC + NO DELETIONS
+// Complete Fastify server with PROVEN WORKING SYNC + OPT-IN DELETION MIRRORING
 const path = require('path');
 const Fastify = require('fastify');
 const handlebars = require('handlebars');
@@ -6,23 +6,394 @@ const handlebars = require('handlebars');
 const fastify = Fastify({ logger: true });
 
 // Import the PROVEN WORKING sync functions
-const { getAllRaindrops, getRaindropTotal, getRecentRaindrops } = require('../services/raindrop');
-const { getNotionPages, getTotalNotionPages, createNotionPage, updateNotionPage } = require('../services/notion');
+const { getAllRaindrops, getRaindropTotal, getRaindropsUpdatedSince, getCollections, getRaindrop, updateRaindrop } = require('../services/raindrop');
+const { getNotionPages, getTotalNotionPages, getDatabase, updateDatabaseProperties, createNotionPage, updateNotionPage, updateNotionPageProperties, deleteNotionPage, getChangedProperties, runFollowUpTask } = require('../services/notion');
+const { isFieldMapped, readMappedField, getMappedPropertyName, encodeValue, getPropertyMap, getWriteBackChanges } = require('../services/property-mapping');
+const { getLink, getLinkedPageId, getLinkedRaindropId, linkRaindrop, unlinkRaindrop, getLinkCount } = require('../services/link-store');
+const { DELETION_CONFIG, planDeletions, buildStatusProperties, markQuarantined, clearQuarantine } = require('../services/deletions');
+const { savePlan, getPlan, getPlanProblem, claimPlanChunk, summarizePlan } = require('../services/plan-store');
+const { getLastSuccessfulSync, setLastSuccessfulSync } = require('../services/sync-state');
+const { JOB_CONFIG, createJob, getJob, updateJob, listJobs, findUnfinishedJob, isJobStale } = require('../services/job-store');
+const { startRun, addRunItem, finishRun, listRuns, getRun } = require('../services/history-store');
+const { compareCanonical, findDuplicateGroups, mergePageTags } = require('../services/duplicates');
+const { canonicalizeUrl, getLooseUrlKey } = require('../services/url-canonicalizer');
+const { getRoutes, routesNeedCollectionTitles, hasCollectionRoutes, getRouteForItem, getRouteForPage, getRouteCollectionIds } = require('../services/collection-routes');
+const { getFilterReason, filtersNeedCollectionTitles } = require('../services/sync-filters');
+const { MATCH_CONFIDENCE, MATCH_CONFIG, queueMatch, listPendingMatches, decideMatch, isMatchRejected, clearPendingMatch } = require('../services/match-review');
+const { CONFLICT_POLICIES, CONFLICT_CONFIG, buildSyncSnapshot, detectConflict, mergeTags, flagConflict, setConflictResolution, getConflictPolicy, clearConflict, listConflicts } = require('../services/conflicts');
+const { FOLLOW_UP_CONFIG, listFollowUps, removeFollowUp, recordFollowUpFailure } = require('../services/follow-ups');
+const { getExpectedProperties, checkDatabaseSchema, buildProvisioningChanges, describeSchemaProblems } = require('../services/schema-check');
+const { transformTags, listTagRewrites } = require('../services/tag-rules');
+const { validateItem } = require('../services/item-validation');
+const { getHttpStats } = require('../services/http-client');
+const { getWriteConcurrency, runWithConcurrency } = require('../services/worker-pool');
+const { getPageCount } = require('../services/page-count');
+const { isDataDirDurable, flushStores } = require('../services/storage');
 
 // Helper functions from working version
-function normalizeUrl(url) {
-  try {
-    const u = new URL(url);
-    u.hash = '';
-    u.search = '';
-    return u.href.replace(/\/$/, '').toLowerCase();
-  } catch {
-    return url;
+function normalizeTitle(title) {
+  return (title || '').trim().toLowerCase();
+}
+
+// Raindrop ID stored on a Notion page, as a string key
+function getPageRaindropId(page) {
+  const raindropId = readMappedField(page, 'id');
+  return raindropId === null || raindropId === '' ? null : String(raindropId);
+}
+
+// Index Notion pages by ID, raindrop ID, normalized URL, loose URL and normalized title.
+// When duplicates share a key, the best canonical page wins so matches are deterministic.
+function buildPageIndex(pages) {
+  const byId = new Map();
+  const byRaindropId = new Map();
+  const byUrl = new Map();
+  const byLooseUrl = new Map();
+  const byTitle = new Map();
+  
+  const keep = (map, key, page) => {
+    const current = map.get(key);
+    if (!current || compareCanonical(page, current) < 0) {
+      map.set(key, page);
+    }
+  };
+  
+  for (const page of pages) {
+    const url = readMappedField(page, 'link');
+    const title = readMappedField(page, 'title');
+    const raindropId = getPageRaindropId(page);
+    
+    byId.set(page.id, page);
+    if (raindropId) {
+      keep(byRaindropId, raindropId, page);
+    }
+    if (url) {
+      keep(byUrl, canonicalizeUrl(url), page);
+      keep(byLooseUrl, getLooseUrlKey(url), page);
+    }
+    if (title) {
+      keep(byTitle, normalizeTitle(title), page);
+    }
+  }
+  
+  return { byId, byRaindropId, byUrl, byLooseUrl, byTitle };
+}
+
+// One index per collection route, so a bookmark only ever matches pages in its own database
+function buildNotionLookup(pages) {
+  const pagesByRoute = new Map(getRoutes().map(route => [route.name, []]));
+  for (const page of pages) {
+    pagesByRoute.get(getRouteForPage(page).name).push(page);
+  }
+  
+  const routes = new Map();
+  for (const [name, routePages] of pagesByRoute) {
+    routes.set(name, buildPageIndex(routePages));
   }
+  
+  return { routes };
 }
 
-function normalizeTitle(title) {
-  return (title || '').trim().toLowerCase();
+// Pages of every routed database (just NOTION_DB_ID when no routes are configured)
+async function getRoutedNotionPages() {
+  const pages = [];
+  for (const route of getRoutes()) {
+    pages.push(...await getNotionPages(route.databaseId));
+  }
+  return pages;
+}
+
+// Database a raindrop's page belongs in
+function getItemDatabaseId(item, context = {}) {
+  return getRouteForItem(item, context.collections).databaseId;
+}
+
+// Build a match result, flagging it for review when its confidence is below the threshold
+function toMatch(page, method) {
+  const confidence = MATCH_CONFIDENCE[method];
+  return { page, method, confidence, needsReview: confidence < MATCH_CONFIG.minConfidence };
+}
+
+// Find the Notion page for a raindrop in its route's database: linked page, Raindrop ID property,
+// then URL/title heuristics. Returns { page, method, confidence, needsReview } or null.
+function matchExistingPage(notionLookup, item, context = {}) {
+  const lookup = notionLookup.routes.get(getRouteForItem(item, context.collections).name);
+  
+  const linkedPageId = getLinkedPageId(item._id);
+  if (linkedPageId) {
+    const linkedPage = lookup.byId.get(linkedPageId);
+    if (linkedPage) {
+      return toMatch(linkedPage, 'id');
+    }
+    // Linked page is gone from the database (archived or deleted in Notion, or the bookmark changed route)
+    unlinkRaindrop(item._id);
+  }
+  
+  const pageWithId = lookup.byRaindropId.get(String(item._id));
+  if (pageWithId) {
+    return toMatch(pageWithId, 'id');
+  }
+  
+  const candidates = [
+    ['url', lookup.byUrl.get(canonicalizeUrl(item.link))],
+    ['fuzzy-url', lookup.byLooseUrl.get(getLooseUrlKey(item.link))],
+    ['title', lookup.byTitle.get(normalizeTitle(item.title))]
+  ];
+  
+  for (const [method, candidate] of candidates) {
+    if (!candidate || isMatchRejected(item._id, candidate.id)) {
+      continue;
+    }
+    // Never hijack a page that already belongs to a different raindrop
+    const owner = getLinkedRaindropId(candidate.id) || getPageRaindropId(candidate);
+    if (owner && owner !== String(item._id)) {
+      continue;
+    }
+    return toMatch(candidate, method);
+  }
+  
+  return null;
+}
+
+// Queue a low-confidence match for review instead of writing to the matched page
+function holdMatchForReview(item, match) {
+  queueMatch(item, match, {
+    title: readMappedField(match.page, 'title') || 'Untitled',
+    url: readMappedField(match.page, 'link') || null
+  });
+  recordTouchedItem('review', item, match.page.id);
+}
+
+// Human-readable label for a match, e.g. "title, 30%"
+function describeMatch(match) {
+  return `${match.method}, ${Math.round(match.confidence * 100)}%`;
+}
+
+// Data the property map needs beyond the raindrop item itself
+async function buildMappingContext() {
+  const context = {};
+  
+  // Collection titles feed the collection property, and routes and filters that name collections by title
+  if (isFieldMapped('collection') || routesNeedCollectionTitles() || filtersNeedCollectionTitles()) {
+    try {
+      context.collections = await getCollections();
+    } catch (error) {
+      // Without titles, bookmarks would silently fall through to the default route or past filters
+      if (routesNeedCollectionTitles() || filtersNeedCollectionTitles()) {
+        throw new Error(`Failed to fetch collections needed for collection routing or filters: ${error.message}`);
+      }
+      console.warn(`Failed to fetch collections, collection titles will be empty: ${error.message}`);
+      context.collections = new Map();
+    }
+  }
+  
+  return context;
+}
+
+// Record that both sides now hold the item's values (pass the page when Notion was not written)
+function markSynced(item, pageId, page = null) {
+  linkRaindrop(item._id, pageId, buildSyncSnapshot(item, page));
+  clearConflict(item._id);
+  clearPendingMatch(item._id);
+}
+
+// Check a linked item for edits on both sides since the last sync and work out the policy's writes
+function resolveConflictFor(item, existingPage) {
+  const conflict = detectConflict(getLink(item._id), item, existingPage);
+  if (!conflict) {
+    return null;
+  }
+
+  const policy = getConflictPolicy(item._id);
+  const resolution = { policy, conflict, notionItem: null, raindropChanges: null };
+
+  if (policy === 'raindrop') {
+    resolution.notionItem = item;
+  } else if (policy === 'notion') {
+    resolution.raindropChanges = getWriteBackChanges(existingPage, item);
+  } else if (policy === 'merge-tags') {
+    // Raindrop wins everything except tags, which end up as the union on both sides
+    // (Notion tags the tag rules made from Raindrop's own tags are already covered)
+    const writtenTags = transformTags(item.tags || []);
+    const tags = mergeTags(item.tags || [], (conflict.notion.tags || []).filter(tag => !writtenTags.includes(tag)));
+    resolution.notionItem = { ...item, tags };
+    if (tags.length !== (item.tags || []).length) {
+      resolution.raindropChanges = { tags };
+    }
+  }
+
+  return resolution;
+}
+
+// Carry out a conflict resolution; returns 'flagged', 'updated' or 'pushed'
+async function applyConflictResolution(resolution, item, existingPage, mappingContext, sendUpdate) {
+  const { policy, conflict, notionItem, raindropChanges } = resolution;
+
+  if (policy === 'review') {
+    flagConflict(item, existingPage, conflict);
+    recordTouchedItem('conflict', item, existingPage.id, `Changed on both sides: ${conflict.fields.join(', ')}`);
+    sendUpdate(`⚠️ Conflict on "${item.title}" (${conflict.fields.join(', ')} changed on both sides) - flagged for review`, 'conflict');
+    return 'flagged';
+  }
+
+  let resolved = notionItem || item;
+
+  if (raindropChanges && Object.keys(raindropChanges).length > 0) {
+    const updated = await updateRaindrop(item._id, raindropChanges);
+    resolved = { ...resolved, ...raindropChanges, lastUpdate: (updated && updated.lastUpdate) || resolved.lastUpdate };
+  }
+
+  if (notionItem) {
+    const success = await updateNotionPage(existingPage.id, notionItem, mappingContext, existingPage);
+    if (!success) {
+      throw new Error('Update was rejected by Notion');
+    }
+  }
+
+  markSynced(resolved, existingPage.id, notionItem ? null : existingPage);
+
+  const outcome = notionItem ? 'updated' : 'pushed';
+  recordTouchedItem(outcome, item, existingPage.id);
+  sendUpdate(`🔀 Conflict on "${item.title}" (${conflict.fields.join(', ')}) resolved: ${policy === 'merge-tags' ? 'tags merged' : `${policy === 'notion' ? 'Notion' : 'Raindrop'} wins`}`, outcome);
+  return outcome;
+}
+
+// Resolve or flag every item in conflict, returning how many ended up each way
+async function processConflicts(itemsInConflict, mappingContext, sendUpdate) {
+  const outcomes = { updated: 0, pushed: 0, flagged: 0, failed: 0 };
+  if (itemsInConflict.length === 0) {
+    return outcomes;
+  }
+  
+  sendUpdate(`🔀 Handling ${itemsInConflict.length} items changed on both sides (policy: ${CONFLICT_CONFIG.policy})...`, 'processing');
+  
+  for (const { item, existingPage, resolution } of itemsInConflict) {
+    try {
+      outcomes[await applyConflictResolution(resolution, item, existingPage, mappingContext, sendUpdate)]++;
+      await new Promise(resolve => setTimeout(resolve, 200));
+    } catch (error) {
+      outcomes.failed++;
+      recordTouchedItem('failed', item, existingPage.id, error.message);
+      sendUpdate(`❌ Error resolving conflict on "${item.title}": ${error.message}`, 'failed');
+      await new Promise(resolve => setTimeout(resolve, 400));
+    }
+  }
+  
+  if (outcomes.flagged > 0) {
+    sendUpdate(`⚠️ ${outcomes.flagged} conflicts flagged for review on the dashboard`, 'conflict');
+  }
+  
+  return outcomes;
+}
+
+// Run the queued follow-up tasks (image updates), including ones left by an interrupted run.
+// Failed tasks are retried with a growing delay and given up after FOLLOW_UP_CONFIG.maxAttempts.
+async function processFollowUps(sendUpdate) {
+  const tasks = listFollowUps();
+  const outcomes = { done: 0, failed: 0 };
+  if (tasks.length === 0) {
+    return outcomes;
+  }
+
+  sendUpdate(`🖼️ Running ${tasks.length} follow-up tasks (image updates)...`, 'processing');
+
+  for (const task of tasks) {
+    let attempts = task.attempts;
+    while (attempts < FOLLOW_UP_CONFIG.maxAttempts) {
+      try {
+        await runFollowUpTask(task);
+        removeFollowUp(task.id);
+        outcomes.done++;
+        break;
+      } catch (error) {
+        attempts = recordFollowUpFailure(task.id, error.message);
+        if (attempts >= FOLLOW_UP_CONFIG.maxAttempts) {
+          removeFollowUp(task.id);
+          outcomes.failed++;
+          recordTouchedItem('failed', { _id: task.raindropId, title: task.title }, task.pageId, `${task.type} update failed: ${error.message}`);
+          sendUpdate(`❌ Gave up on ${task.type} update for "${task.title}" after ${attempts} attempts: ${error.message}`, 'failed');
+        } else {
+          console.warn(`⚠️ ${task.type} update for "${task.title}" failed (attempt ${attempts}), retrying: ${error.message}`);
+          await new Promise(resolve => setTimeout(resolve, FOLLOW_UP_CONFIG.retryDelay * attempts));
+        }
+      }
+    }
+
+    broadcastSSEData({
+      type: 'followups',
+      done: outcomes.done,
+      failed: outcomes.failed,
+      total: tasks.length
+    });
+  }
+
+  sendUpdate(`🖼️ Follow-up tasks finished: ${outcomes.done} done, ${outcomes.failed} failed`, 'info');
+  return outcomes;
+}
+
+// Normalize an item for Notion (see services/item-validation.js), logging what was fixed
+function prepareItem(item) {
+  const validation = validateItem(item);
+  if (validation.fixes.length > 0) {
+    console.log(`🧹 Normalized "${validation.item.title}": ${validation.fixes.join(', ')}`);
+  }
+  return validation;
+}
+
+// Report an item that can't be written to Notion: a 'failed' event and a history entry naming the reason
+function reportInvalidItem(item, error, sendUpdate, invalidReasons) {
+  invalidReasons[error.reason] = (invalidReasons[error.reason] || 0) + 1;
+  recordTouchedItem('failed', item, null, `Invalid for Notion: ${error.message}`);
+  sendUpdate(`❌ "${item.title}" can't be written to Notion: ${error.message}`, 'failed');
+}
+
+// Summary of validation failures by reason, e.g. "2 unsupported URL scheme, 1 missing link"
+function describeInvalidReasons(invalidReasons) {
+  return Object.entries(invalidReasons).map(([reason, count]) => `${count} ${reason}`).join(', ');
+}
+
+// One row of a dry-run plan; the raindrop snapshot is what gets written on apply
+function toPlanEntry(action, item, existingPage = null, changedProperties = []) {
+  return {
+    action,
+    raindropId: item._id,
+    title: item.title,
+    url: item.link,
+    pageId: existingPage ? existingPage.id : null,
+    changedProperties,
+    item
+  };
+}
+
+// Plan entry for an item in conflict: an update when Raindrop wins, otherwise a skip naming the policy
+function toConflictPlanEntry(item, existingPage) {
+  const resolution = resolveConflictFor(item, existingPage);
+  if (!resolution) {
+    return null;
+  }
+  if (resolution.policy === 'raindrop') {
+    return toPlanEntry('update', item, existingPage, resolution.conflict.fields);
+  }
+  return toPlanEntry('skip', item, existingPage, [`conflict (${resolution.policy}): ${resolution.conflict.fields.join(', ')}`]);
+}
+
+// Plan entry for an item whose only match needs review: a skip naming how it matched
+function toReviewPlanEntry(item, match) {
+  return toPlanEntry('skip', item, match.page, [`needs match review (${describeMatch(match)})`]);
+}
+
+// Save a dry-run plan and stream it to the client (without the raindrop snapshots)
+function publishPlan(mode, entries) {
+  const plan = savePlan(mode, entries);
+  
+  broadcastSSEData({
+    type: 'plan',
+    planId: plan.id,
+    mode,
+    totals: summarizePlan(entries),
+    entries: entries.map(({ item, ...entry }) => entry)
+  });
+  
+  return plan;
 }
 
 function chunkArray(arr, size) {
@@ -72,6 +443,20 @@ function trackSyncOperation(operation, itemId, itemTitle) {
   return false;
 }
 
+// Record an item the current run touched in its history entry
+function recordTouchedItem(action, item, pageId = null, error = null) {
+  if (!currentSync || !currentSync.history) {
+    return;
+  }
+  addRunItem(currentSync.history, {
+    action,
+    raindropId: item._id !== undefined ? item._id : null,
+    title: item.title || null,
+    pageId,
+    error
+  });
+}
+
 // Helper to broadcast to all streams
 function broadcastSSEData(data) {
   for (const [streamId, reply] of activeStreams.entries()) {
@@ -106,7 +491,7 @@ fastify.register(require('@fastify/static'), {
 });
 
 // MODE 1 - FULL SYNC with Vercel-Safe Chunks (NO DELETIONS)
-async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
+async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0, options = {}) {
   const lockId = currentSync ? currentSync.lockId : 'unknown';
   console.log(`Chunked Full Sync starting - Lock ID: ${lockId}, startIndex: ${startIndex}, chunkSize: ${chunkSize}`);
   
@@ -114,6 +499,10 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
   let updatedCount = 0;
   let failedCount = 0;
   let loopPreventionSkips = 0;
+  let conflictCount = 0;
+  let reviewCount = 0;
+  let filteredCount = 0;
+  const invalidReasons = {};
   
   try {
     // Helper to send progress updates
@@ -127,7 +516,8 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
           created: createdCount, 
           updated: updatedCount, 
           failed: failedCount,
-          skipped: loopPreventionSkips 
+          skipped: loopPreventionSkips + conflictCount + reviewCount,
+          filtered: filteredCount
         },
         lockInfo: {
           locked: GLOBAL_SYNC_LOCK,
@@ -152,9 +542,12 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
       sendUpdate(`Continuing from bookmark ${startIndex + 1}...`, 'info');
     }
     
+    // Server-side jobs fetch once and pass the data to every chunk
+    const prefetched = options.prefetched || {};
+    
     let allRaindrops = [];
     try {
-      allRaindrops = await getAllRaindrops(limit);
+      allRaindrops = prefetched.raindrops || await getAllRaindrops(limit);
     } catch (error) {
       throw new Error(`Failed to fetch raindrops: ${error.message}`);
     }
@@ -177,16 +570,18 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
         totalItems: totalRaindrops,
         finalCounts: { created: 0, updated: 0, failed: 0, skipped: 0 }
       });
-      return { complete: true, hasMore: false };
+      return { complete: true, hasMore: false, nextIndex: endIndex, totalItems: totalRaindrops, counts: { created: 0, updated: 0, failed: 0, skipped: 0 } };
     }
     
     // === STEP 2: FETCH EXISTING NOTION PAGES (only if first chunk) ===
     let existingPages = [];
-    if (startIndex === 0) {
+    if (prefetched.notionPages) {
+      existingPages = prefetched.notionPages;
+    } else if (startIndex === 0) {
       sendUpdate('Fetching existing Notion pages...', 'fetching');
       
       try {
-        existingPages = await getNotionPages();
+        existingPages = await getRoutedNotionPages();
       } catch (error) {
         throw new Error(`Failed to fetch existing Notion pages: ${error.message}`);
       }
@@ -196,7 +591,7 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
       // For continuation chunks, get fresh Notion data to include newly created pages
       sendUpdate('Refreshing Notion page data...', 'fetching');
       try {
-        existingPages = await getNotionPages();
+        existingPages = await getRoutedNotionPages();
       } catch (error) {
         console.warn('Failed to refresh Notion pages, continuing with empty set');
         existingPages = [];
@@ -204,38 +599,92 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
     }
     
     // === STEP 3: BUILD NOTION LOOKUP MAPS ===
-    const notionUrlMap = new Map();
-    const notionTitleMap = new Map();
+    const notionLookup = buildNotionLookup(existingPages);
     
-    for (const page of existingPages) {
-      const url = page.properties?.URL?.url;
-      const title = page.properties?.Name?.title?.[0]?.text?.content;
+    const mappingContext = await buildMappingContext();
+    
+    // === DRY RUN: plan every remaining item in one pass, write nothing ===
+    if (options.dryRun) {
+      const remaining = allRaindrops.slice(startIndex);
+      const entries = remaining.map(rawItem => {
+        const filterReason = getFilterReason(rawItem, mappingContext.collections);
+        if (filterReason) {
+          return toPlanEntry('skip', rawItem, null, [`filtered: ${filterReason}`]);
+        }
+        const { item, error } = prepareItem(rawItem);
+        if (error) {
+          return toPlanEntry('skip', item, null, [`invalid: ${error.message}`]);
+        }
+        const match = matchExistingPage(notionLookup, item, mappingContext);
+        if (!match) {
+          return toPlanEntry('create', item);
+        }
+        if (match.needsReview) {
+          return toReviewPlanEntry(item, match);
+        }
+        const existingPage = match.page;
+        return toConflictPlanEntry(item, existingPage) ||
+          toPlanEntry('update', item, existingPage, getChangedProperties(existingPage, item, mappingContext));
+      });
       
-      if (url) {
-        notionUrlMap.set(normalizeUrl(url), page);
-      }
-      if (title) {
-        notionTitleMap.set(normalizeTitle(title), page);
-      }
+      const plan = publishPlan('full', entries);
+      const totals = summarizePlan(entries);
+      sendUpdate(`📋 Dry run plan ${plan.id}: ${totals.create} to create, ${totals.update} to update (no changes made)`, 'summary');
+      
+      broadcastSSEData({
+        complete: true,
+        chunkComplete: true,
+        hasMore: false,
+        nextIndex: totalRaindrops,
+        totalItems: totalRaindrops,
+        chunkCounts: { created: 0, updated: 0, failed: 0, skipped: 0 },
+        mode: 'full',
+        dryRun: true,
+        planId: plan.id
+      });
+      
+      return { complete: true, hasMore: false, planId: plan.id };
     }
     
     // === STEP 4: PROCESS CHUNK OF RAINDROPS ===
-    sendUpdate(`Processing chunk: ${raindrops.length} bookmarks`, 'processing');
+    const concurrency = getWriteConcurrency();
+    sendUpdate(`Processing chunk: ${raindrops.length} bookmarks, ${concurrency} at a time`, 'processing');
     
-    // Process items individually with 200ms delays
+    // Items run on the write pool; bookmarks with the same URL run in order, so two of them never write
+    // the page they both match at the same time
     let processedInChunk = 0;
     
-    for (const item of raindrops) {
+    await runWithConcurrency(raindrops, async (rawItem, index) => {
+      // Normalized for Notion; an item that can't be written is reported once it passes the filters
+      const { item, error: invalidError } = prepareItem(rawItem);
+      const currentItemNumber = startIndex + index + 1;
       try {
-        const currentItemNumber = startIndex + processedInChunk + 1;
         console.log(`Processing item ${currentItemNumber}/${totalRaindrops}: "${item.title}"`);
         
         // Add timeout wrapper for individual item processing
         const processItem = async () => {
-          const normUrl = normalizeUrl(item.link);
-          const normTitle = normalizeTitle(item.title);
+          // Filters see the bookmark as Raindrop returned it, as in smart and two-way sync
+          const filterReason = getFilterReason(rawItem, mappingContext.collections);
+          if (filterReason) {
+            filteredCount++;
+            console.log(`Filtered out "${item.title}": ${filterReason}`);
+            return 'filtered';
+          }
+          
+          if (invalidError) {
+            failedCount++;
+            reportInvalidItem(item, invalidError, sendUpdate, invalidReasons);
+            return 'invalid';
+          }
           
-          const existingPage = notionUrlMap.get(normUrl) || notionTitleMap.get(normTitle);
+          const match = matchExistingPage(notionLookup, item, mappingContext);
+          if (match && match.needsReview) {
+            holdMatchForReview(item, match);
+            reviewCount++;
+            sendUpdate(`🔍 "${item.title}" needs match review (${describeMatch(match)})`, 'review');
+            return 'skipped';
+          }
+          const existingPage = match ? match.page : null;
           
           if (existingPage) {
             // UPDATE EXISTING PAGE
@@ -247,19 +696,33 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
               return 'skipped';
             }
             
-            const success = await updateNotionPage(existingPage.id, item);
+            const resolution = resolveConflictFor(item, existingPage);
+            if (resolution) {
+              const outcome = await applyConflictResolution(resolution, item, existingPage, mappingContext, sendUpdate);
+              if (outcome === 'flagged') {
+                conflictCount++;
+                return 'skipped';
+              }
+              updatedCount++;
+              return 'updated';
+            }
+            
+            const success = await updateNotionPage(existingPage.id, item, mappingContext, existingPage);
             if (success) {
+              markSynced(item, existingPage.id);
               updatedCount++;
+              recordTouchedItem('updated', item, existingPage.id);
               console.log(`✅ Updated item ${currentItemNumber}: "${item.title}"`);
               return 'updated';
             } else {
               failedCount++;
+              recordTouchedItem('failed', item, existingPage.id, 'Update was rejected by Notion');
               console.log(`❌ Failed to update item ${currentItemNumber}: "${item.title}"`);
               return 'failed';
             }
           } else {
             // CREATE NEW PAGE
-            const itemKey = normalizeUrl(item.link) + '|' + normalizeTitle(item.title);
+            const itemKey = canonicalizeUrl(item.link) + '|' + normalizeTitle(item.title);
             const isLoop = trackSyncOperation('create', itemKey, item.title);
             
             if (isLoop) {
@@ -268,37 +731,48 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
               return 'skipped';
             }
             
-            const result = await createNotionPage(item);
+            const result = await createNotionPage(item, mappingContext, getItemDatabaseId(item, mappingContext));
             if (result.success) {
+              markSynced(item, result.pageId);
               createdCount++;
+              recordTouchedItem('created', item, result.pageId);
               console.log(`✅ Created item ${currentItemNumber}: "${item.title}"`);
               return 'created';
             } else {
               failedCount++;
-              console.log(`❌ Failed to create item ${currentItemNumber}: "${item.title}"`);
+              recordTouchedItem('failed', item, null, result.error || 'Create was rejected by Notion');
+              sendUpdate(`❌ Failed to create item ${currentItemNumber}: "${item.title}" - ${result.error || 'Create was rejected by Notion'}`, 'failed');
               return 'failed';
             }
           }
         };
         
-        // Process item with 8 second timeout (shorter for chunks)
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Item processing timeout')), 8000);
-        });
+        // Warn about slow items (8s, longer when workers share the rate limit), but keep the pool slot
+        // until the item settles, so it stays within the concurrency limit and is counted exactly once
+        const slowAfterMs = 8000 * concurrency;
+        const slowTimer = setTimeout(() => {
+          sendUpdate(`⏳ Item ${currentItemNumber} "${item.title}" is still running after ${slowAfterMs / 1000}s`, 'warning');
+        }, slowAfterMs);
         
-        const result = await Promise.race([processItem(), timeoutPromise]);
+        let result;
+        try {
+          result = await processItem();
+        } finally {
+          clearTimeout(slowTimer);
+        }
         processedInChunk++;
         
-        console.log(`Item ${currentItemNumber} completed: ${result}`);
+        if (options.onItemProcessed) {
+          options.onItemProcessed(startIndex + processedInChunk);
+        }
         
-        // PROVEN WORKING DELAY: 200ms between operations
-        await new Promise(resolve => setTimeout(resolve, 200));
+        console.log(`Item ${currentItemNumber} completed: ${result}`);
         
       } catch (error) {
         // Individual item error handling
         failedCount++;
+        recordTouchedItem('failed', item, null, error.message);
         processedInChunk++;
-        const currentItemNumber = startIndex + processedInChunk;
         
         console.error(`❌ Error processing item ${currentItemNumber} "${item.title}":`, error.message);
         sendUpdate(`Failed item ${currentItemNumber}: "${item.title}" - ${error.message}`, 'failed');
@@ -306,15 +780,29 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
         // Continue with next item after error
         await new Promise(resolve => setTimeout(resolve, 400));
       }
-    }
+    }, { concurrency, keyOf: rawItem => canonicalizeUrl(rawItem.link) });
     
     // === CHUNK COMPLETION ===
     const chunkEndIndex = startIndex + processedInChunk;
     const hasMore = chunkEndIndex < totalRaindrops;
+    
+    // Deletions need the complete bookmark list, so only the last chunk of an unlimited run checks them
+    if (options.mirrorDeletions && !hasMore && limit === 0) {
+      await performDeletionPass(allRaindrops, existingPages, sendUpdate);
+    }
+    
+    // Image updates queued by this chunk's writes run before the chunk reports back
+    const followUps = await processFollowUps(sendUpdate);
+    
+    // Store changes are batched in memory; write them once per chunk
+    flushStores();
     const duration = SYNC_START_TIME ? Math.round((Date.now() - SYNC_START_TIME) / 1000) : 0;
     
     sendUpdate(`Chunk complete: ${processedInChunk} items processed in ${duration}s`, 'complete');
-    sendUpdate(`Chunk results: ${createdCount} created, ${updatedCount} updated, ${failedCount} failed, ${loopPreventionSkips} skipped`, 'summary');
+    sendUpdate(`Chunk results: ${createdCount} created, ${updatedCount} updated, ${failedCount} failed, ${loopPreventionSkips} skipped, ${conflictCount} conflicts flagged, ${reviewCount} held for match review, ${filteredCount} filtered out, ${followUps.done} image updates done, ${followUps.failed} failed`, 'summary');
+    if (Object.keys(invalidReasons).length > 0) {
+      sendUpdate(`⚠️ Not valid for Notion: ${describeInvalidReasons(invalidReasons)}`, 'summary');
+    }
     
     console.log(`[${lockId}] CHUNK COMPLETE: ${duration}s, processed ${chunkEndIndex}/${totalRaindrops}`);
     
@@ -328,7 +816,10 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
         created: createdCount, 
         updated: updatedCount, 
         failed: failedCount,
-        skipped: loopPreventionSkips 
+        skipped: loopPreventionSkips + conflictCount + reviewCount,
+        filtered: filteredCount,
+        followUpsDone: followUps.done,
+        followUpsFailed: followUps.failed
       }
     };
     
@@ -345,7 +836,10 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
         created: createdCount, 
         updated: updatedCount, 
         failed: failedCount, 
-        skipped: loopPreventionSkips 
+        skipped: loopPreventionSkips + conflictCount + reviewCount,
+        filtered: filteredCount,
+        followUpsDone: followUps.done,
+        followUpsFailed: followUps.failed
       },
       mode: 'full',
       duration
@@ -354,7 +848,7 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
     if (currentSync) {
       currentSync.completed = !hasMore;
       currentSync.isRunning = hasMore;
-      currentSync.counts = { created: createdCount, updated: updatedCount, failed: failedCount, skipped: loopPreventionSkips };
+      currentSync.counts = { created: createdCount, updated: updatedCount, failed: failedCount, skipped: loopPreventionSkips + conflictCount + reviewCount, filtered: filteredCount, followUpsDone: followUps.done, followUpsFailed: followUps.failed };
     }
     
     return { 
@@ -362,7 +856,7 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
       hasMore: hasMore, 
       nextIndex: chunkEndIndex,
       totalItems: totalRaindrops,
-      counts: { created: createdCount, updated: updatedCount, failed: failedCount, skipped: loopPreventionSkips }
+      counts: { created: createdCount, updated: updatedCount, failed: failedCount, skipped: loopPreventionSkips + conflictCount + reviewCount, filtered: filteredCount, followUpsDone: followUps.done, followUpsFailed: followUps.failed }
     };
     
   } catch (error) {
@@ -379,15 +873,31 @@ async function performFullSync(startIndex = 0, chunkSize = 25, limit = 0) {
 }
 
 // ENHANCED MODE 2: SMART INCREMENTAL SYNC with Loop Protection (NO DELETIONS)
-async function performSmartIncrementalSync(daysBack = 30) {
+// Window for the very first smart sync, before any watermark exists
+const SMART_SYNC_INITIAL_DAYS = parseInt(process.env.SMART_SYNC_INITIAL_DAYS || '30', 10);
+// Overlap with the previous run to absorb clock skew between us and Raindrop
+const SMART_SYNC_OVERLAP_MS = 5 * 60 * 1000;
+
+async function performSmartIncrementalSync(options = {}) {
   const lockId = currentSync ? currentSync.lockId : 'unknown';
-  console.log(`🧠 Smart Incremental Sync starting - Lock ID: ${lockId}, checking last ${daysBack} days (NO DELETIONS)`);
+  const runStartedAt = Date.now();
+  const watermark = getLastSuccessfulSync('smart');
+  const since = watermark
+    ? watermark - SMART_SYNC_OVERLAP_MS
+    : runStartedAt - (SMART_SYNC_INITIAL_DAYS * 24 * 60 * 60 * 1000);
+  const sinceLabel = watermark
+    ? `since last successful sync (${new Date(watermark).toISOString()})`
+    : `last ${SMART_SYNC_INITIAL_DAYS} days, no previous sync recorded`;
+  
+  console.log(`🧠 Smart Incremental Sync starting - Lock ID: ${lockId}, checking changes ${sinceLabel}`);
   
   let addedCount = 0;
   let updatedCount = 0;
   let skippedCount = 0;
+  let filteredCount = 0;
   let failedCount = 0;
   let loopPreventionSkips = 0;
+  let followUps = { done: 0, failed: 0 };
   
   try {
     // Clear operation log for fresh start
@@ -404,7 +914,10 @@ async function performSmartIncrementalSync(daysBack = 30) {
           added: addedCount, 
           updated: updatedCount, 
           skipped: skippedCount + loopPreventionSkips, 
-          failed: failedCount 
+          filtered: filteredCount,
+          failed: failedCount,
+          followUpsDone: followUps.done,
+          followUpsFailed: followUps.failed
         },
         lockInfo: {
           locked: GLOBAL_SYNC_LOCK,
@@ -420,23 +933,55 @@ async function performSmartIncrementalSync(daysBack = 30) {
       broadcastSSEData(updateData);
     };
     
-    sendUpdate(`🧠 Starting Smart Incremental Sync with loop protection (last ${daysBack} days, no deletions)`, 'info');
+    sendUpdate(`🧠 Starting Smart Incremental Sync with loop protection (${sinceLabel})`, 'info');
     
-    // === STEP 1: GET RECENT RAINDROPS (TEMPORAL FILTERING) ===
-    sendUpdate(`📡 Fetching recent Raindrop bookmarks (last ${daysBack} days)...`, 'fetching');
+    // === STEP 1: GET RAINDROPS CHANGED SINCE THE WATERMARK ===
+    sendUpdate(`📡 Fetching Raindrop bookmarks changed ${sinceLabel}...`, 'fetching');
     
     let recentRaindrops = [];
+    let fetchTruncated = false;
     try {
-      const hoursBack = daysBack * 24;
-      recentRaindrops = await getRecentRaindrops(hoursBack);
+      ({ items: recentRaindrops, truncated: fetchTruncated } = await getRaindropsUpdatedSince(since));
     } catch (error) {
-      throw new Error(`Failed to fetch recent raindrops: ${error.message}`);
+      throw new Error(`Failed to fetch changed raindrops: ${error.message}`);
+    }
+    
+    sendUpdate(`✅ Found ${recentRaindrops.length} changed Raindrop bookmarks`, 'success');
+    if (fetchTruncated) {
+      sendUpdate('⚠️ Hit the Raindrop page limit before fetching every change - keeping the previous sync watermark so the rest are picked up later', 'warning');
+    }
+    
+    // Conflicts resolved in review may be older than the watermark, so fetch them explicitly
+    const resolvedConflicts = listConflicts().filter(conflict => conflict.resolution && !recentRaindrops.some(item => String(item._id) === String(conflict.raindropId)));
+    for (const conflict of resolvedConflicts) {
+      try {
+        recentRaindrops.push(await getRaindrop(conflict.raindropId));
+      } catch (error) {
+        sendUpdate(`⚠️ Could not fetch raindrop ${conflict.raindropId} to resolve its conflict: ${error.message}`, 'warning');
+      }
+    }
+    if (resolvedConflicts.length > 0) {
+      sendUpdate(`🔀 Including ${resolvedConflicts.length} conflicts resolved in review`, 'info');
     }
     
-    sendUpdate(`✅ Found ${recentRaindrops.length} recent Raindrop bookmarks`, 'success');
+    // Same for matches accepted or rejected in review
+    const decidedMatches = listPendingMatches().filter(entry => entry.decision && !recentRaindrops.some(item => String(item._id) === String(entry.raindropId)));
+    for (const entry of decidedMatches) {
+      try {
+        recentRaindrops.push(await getRaindrop(entry.raindropId));
+      } catch (error) {
+        sendUpdate(`⚠️ Could not fetch raindrop ${entry.raindropId} to apply its match review: ${error.message}`, 'warning');
+      }
+    }
+    if (decidedMatches.length > 0) {
+      sendUpdate(`🔍 Including ${decidedMatches.length} matches decided in review`, 'info');
+    }
     
     if (recentRaindrops.length === 0) {
-      sendUpdate('No recent raindrops found. Everything is up to date!', 'complete');
+      if (!options.dryRun && !fetchTruncated) {
+        setLastSuccessfulSync('smart', runStartedAt);
+      }
+      sendUpdate('No changed raindrops found. Everything is up to date!', 'complete');
       broadcastSSEData({ 
         complete: true,
         finalCounts: { added: 0, updated: 0, skipped: 0, failed: 0 },
@@ -450,62 +995,70 @@ async function performSmartIncrementalSync(daysBack = 30) {
     
     let notionPages = [];
     try {
-      notionPages = await getNotionPages();
+      notionPages = await getRoutedNotionPages();
     } catch (error) {
       throw new Error(`Failed to fetch Notion pages: ${error.message}`);
     }
     
     // Create efficient lookup map
-    const notionUrlMap = new Map();
-    const notionTitleMap = new Map();
-    
-    for (const page of notionPages) {
-      const url = page.properties?.URL?.url;
-      const title = page.properties?.Name?.title?.[0]?.text?.content;
-      
-      if (url) {
-        notionUrlMap.set(normalizeUrl(url), page);
-      }
-      if (title) {
-        notionTitleMap.set(normalizeTitle(title), page);
-      }
-    }
+    const notionLookup = buildNotionLookup(notionPages);
     
     sendUpdate(`✅ Built lookup maps from ${notionPages.length} Notion pages`, 'success');
     
+    const mappingContext = await buildMappingContext();
+    
     // === STEP 3: SMART DIFF ON RECENT ITEMS ONLY ===
     sendUpdate('🔍 Performing Smart Diff on recent items...', 'processing');
     
     const itemsToAdd = [];
     const itemsToUpdate = [];
     const itemsToSkip = [];
+    const itemsInConflict = [];
+    const itemsForReview = [];
+    const itemsFiltered = [];
+    const itemsInvalid = [];
     
-    for (const item of recentRaindrops) {
-      const normUrl = normalizeUrl(item.link);
-      const normTitle = normalizeTitle(item.title);
+    for (const rawItem of recentRaindrops) {
+      const filterReason = getFilterReason(rawItem, mappingContext.collections);
+      if (filterReason) {
+        itemsFiltered.push({ item: rawItem, filterReason });
+        continue;
+      }
+      
+      const { item, error } = prepareItem(rawItem);
+      if (error) {
+        itemsInvalid.push({ item, error });
+        continue;
+      }
       
-      const existingPage = notionUrlMap.get(normUrl) || notionTitleMap.get(normTitle);
+      const match = matchExistingPage(notionLookup, item, mappingContext);
+      if (match && match.needsReview) {
+        itemsForReview.push({ item, match });
+        continue;
+      }
+      const existingPage = match ? match.page : null;
       
       if (existingPage) {
-        // Check if update needed
-        const currentTitle = existingPage.properties?.Name?.title?.[0]?.text?.content || '';
-        const currentUrl = existingPage.properties?.URL?.url || '';
+        const resolution = resolveConflictFor(item, existingPage);
+        if (resolution) {
+          itemsInConflict.push({ item, existingPage, resolution });
+          continue;
+        }
         
-        const currentTags = new Set();
-        if (existingPage.properties?.Tags?.multi_select) {
-          existingPage.properties.Tags.multi_select.forEach(tag => {
-            currentTags.add(tag.name);
-          });
+        // Keep the link store current for pages matched by URL/title
+        if (!options.dryRun) {
+          linkRaindrop(item._id, existingPage.id);
         }
         
-        const needsUpdate = 
-          (normalizeTitle(currentTitle) !== normalizeTitle(item.title)) ||
-          (normalizeUrl(currentUrl) !== normUrl) ||
-          !tagsMatch(currentTags, item.tags || []);
+        // Check if any mapped property changed
+        const changedProperties = getChangedProperties(existingPage, item, mappingContext);
         
-        if (needsUpdate) {
-          itemsToUpdate.push({ item, existingPage });
+        if (changedProperties.length > 0) {
+          itemsToUpdate.push({ item, existingPage, changedProperties });
         } else {
+          if (!options.dryRun) {
+            markSynced(item, existingPage.id, existingPage);
+          }
           itemsToSkip.push(item);
         }
       } else {
@@ -513,24 +1066,65 @@ async function performSmartIncrementalSync(daysBack = 30) {
       }
     }
     
-    function tagsMatch(currentTags, newTags) {
-      if (currentTags.size !== newTags.length) return false;
-      for (const tag of newTags) {
-        if (!currentTags.has(tag)) return false;
+    const totalOperations = itemsToAdd.length + itemsToUpdate.length + itemsInConflict.length;
+    skippedCount = itemsToSkip.length + itemsForReview.length;
+    filteredCount = itemsFiltered.length;
+    
+    sendUpdate(`🔍 Smart Diff complete: ${itemsToAdd.length} to add, ${itemsToUpdate.length} to update, ${itemsInConflict.length} in conflict, ${itemsForReview.length} need match review, ${itemsToSkip.length} already synced, ${itemsFiltered.length} filtered out, ${itemsInvalid.length} not valid for Notion`, 'analysis');
+    
+    // === DRY RUN: publish the plan and stop before any writes ===
+    if (options.dryRun) {
+      const entries = [
+        ...itemsToAdd.map(item => toPlanEntry('create', item)),
+        ...itemsToUpdate.map(({ item, existingPage, changedProperties }) => toPlanEntry('update', item, existingPage, changedProperties)),
+        ...itemsInConflict.map(({ item, existingPage }) => toConflictPlanEntry(item, existingPage)),
+        ...itemsForReview.map(({ item, match }) => toReviewPlanEntry(item, match)),
+        ...itemsFiltered.map(({ item, filterReason }) => toPlanEntry('skip', item, null, [`filtered: ${filterReason}`])),
+        ...itemsInvalid.map(({ item, error }) => toPlanEntry('skip', item, null, [`invalid: ${error.message}`])),
+        ...itemsToSkip.map(item => toPlanEntry('skip', item))
+      ];
+      
+      const plan = publishPlan('smart', entries);
+      sendUpdate(`📋 Dry run plan ${plan.id}: ${itemsToAdd.length} to add, ${itemsToUpdate.length} to update, ${itemsToSkip.length} to skip (no changes made)`, 'summary');
+      
+      if (currentSync) {
+        currentSync.completed = true;
+        currentSync.isRunning = false;
       }
-      return true;
+      
+      broadcastSSEData({
+        complete: true,
+        finalCounts: { added: 0, updated: 0, skipped: 0, failed: 0 },
+        mode: 'incremental',
+        dryRun: true,
+        planId: plan.id
+      });
+      return { complete: true, planId: plan.id };
     }
     
-    const totalOperations = itemsToAdd.length + itemsToUpdate.length;
-    skippedCount = itemsToSkip.length;
+    for (const { item, match } of itemsForReview) {
+      holdMatchForReview(item, match);
+      sendUpdate(`🔍 "${item.title}" needs match review (${describeMatch(match)})`, 'review');
+    }
     
-    sendUpdate(`🔍 Smart Diff complete: ${itemsToAdd.length} to add, ${itemsToUpdate.length} to update, ${itemsToSkip.length} already synced`, 'analysis');
+    // Invalid items count as failed, but can't succeed until they change in Raindrop, so they don't hold the watermark back
+    const invalidReasons = {};
+    for (const { item, error } of itemsInvalid) {
+      reportInvalidItem(item, error, sendUpdate, invalidReasons);
+    }
+    failedCount += itemsInvalid.length;
     
     if (totalOperations === 0) {
+      if (!fetchTruncated) {
+        setLastSuccessfulSync('smart', runStartedAt);
+      }
       sendUpdate('🎉 All recent items already synced! No changes needed.', 'complete');
+      if (itemsInvalid.length > 0) {
+        sendUpdate(`⚠️ Not valid for Notion: ${describeInvalidReasons(invalidReasons)}`, 'summary');
+      }
       broadcastSSEData({ 
         complete: true, 
-        finalCounts: { added: 0, updated: 0, skipped: skippedCount, failed: 0 },
+        finalCounts: { added: 0, updated: 0, skipped: skippedCount, filtered: filteredCount, failed: failedCount },
         mode: 'incremental' 
       });
       return { complete: true };
@@ -538,7 +1132,7 @@ async function performSmartIncrementalSync(daysBack = 30) {
     
     const efficiency = recentRaindrops.length > 0 ? 
       Math.round(((recentRaindrops.length - totalOperations) / recentRaindrops.length) * 100) : 100;
-    sendUpdate(`🚀 Processing ${totalOperations} operations (${efficiency}% efficiency - only checking recent items!)`, 'info');
+    sendUpdate(`🚀 Processing ${totalOperations} operations (${efficiency}% efficiency - only checking changed items!)`, 'info');
     
     // Send efficiency update
     broadcastSSEData({
@@ -556,50 +1150,52 @@ async function performSmartIncrementalSync(daysBack = 30) {
     if (itemsToAdd.length > 0) {
       sendUpdate(`➕ Creating ${itemsToAdd.length} new pages...`, 'processing');
       
-      for (const item of itemsToAdd) {
+      await runWithConcurrency(itemsToAdd, async item => {
         try {
           // ENHANCED: Check for creation loop
-          const itemKey = normalizeUrl(item.link) + '|' + normalizeTitle(item.title);
+          const itemKey = canonicalizeUrl(item.link) + '|' + normalizeTitle(item.title);
           const isLoop = trackSyncOperation('create', itemKey, item.title);
           
           if (isLoop) {
             sendUpdate(`⚠️ Skipping create of "${item.title}" - potential loop detected`, 'warning');
             loopPreventionSkips++;
-            continue;
+            return;
           }
           
           // Use your working API call structure
           try {
-            const result = await createNotionPage(item);
+            const result = await createNotionPage(item, mappingContext, getItemDatabaseId(item, mappingContext));
             if (result.success) {
+              markSynced(item, result.pageId);
               sendUpdate(`✅ Created: "${item.title}"`, 'added');
               addedCount++;
+              recordTouchedItem('created', item, result.pageId);
             } else {
-              sendUpdate(`❌ Failed to create: "${item.title}"`, 'failed');
+              sendUpdate(`❌ Failed to create: "${item.title}"${result.error ? ` - ${result.error}` : ''}`, 'failed');
               failedCount++;
+              recordTouchedItem('failed', item, null, result.error || 'Create was rejected by Notion');
             }
           } catch (createError) {
             sendUpdate(`❌ Error creating "${item.title}": ${createError.message}`, 'failed');
             failedCount++;
+            recordTouchedItem('failed', item, null, createError.message);
             await new Promise(resolve => setTimeout(resolve, 400));
           }
           
-          // PROVEN WORKING DELAY: 200ms between operations (from your working file)
-          await new Promise(resolve => setTimeout(resolve, 200));
-          
         } catch (error) {
           sendUpdate(`❌ Error creating "${item.title}": ${error.message}`, 'failed');
           failedCount++;
+          recordTouchedItem('failed', item, null, error.message);
           await new Promise(resolve => setTimeout(resolve, 400));
         }
-      }
+      }, { keyOf: item => canonicalizeUrl(item.link) });
     }
     
     // Process updates - using your working error handling
     if (itemsToUpdate.length > 0) {
       sendUpdate(`🔄 Updating ${itemsToUpdate.length} existing pages...`, 'processing');
       
-      for (const { item, existingPage } of itemsToUpdate) {
+      await runWithConcurrency(itemsToUpdate, async ({ item, existingPage, changedProperties }) => {
         try {
           // ENHANCED: Check for update loop
           const isLoop = trackSyncOperation('update', existingPage.id, item.title);
@@ -607,45 +1203,68 @@ async function performSmartIncrementalSync(daysBack = 30) {
           if (isLoop) {
             sendUpdate(`⚠️ Skipping update of "${item.title}" - potential loop detected`, 'warning');
             loopPreventionSkips++;
-            continue;
+            return;
           }
           
           // Use your working API call structure
           try {
-            const success = await updateNotionPage(existingPage.id, item);
+            const success = await updateNotionPage(existingPage.id, item, mappingContext, existingPage);
             if (success) {
-              sendUpdate(`🔄 Updated: "${item.title}"`, 'updated');
+              markSynced(item, existingPage.id);
+              sendUpdate(`🔄 Updated: "${item.title}" (${changedProperties.join(', ')})`, 'updated');
               updatedCount++;
+              recordTouchedItem('updated', item, existingPage.id);
             } else {
               sendUpdate(`❌ Failed to update: "${item.title}"`, 'failed');
               failedCount++;
+              recordTouchedItem('failed', item, existingPage.id, 'Update was rejected by Notion');
             }
           } catch (updateError) {
             sendUpdate(`❌ Error updating "${item.title}": ${updateError.message}`, 'failed');
             failedCount++;
+            recordTouchedItem('failed', item, existingPage.id, updateError.message);
             await new Promise(resolve => setTimeout(resolve, 400));
           }
           
-          // PROVEN WORKING DELAY: 200ms between operations (from your working file)
-          await new Promise(resolve => setTimeout(resolve, 200));
-          
         } catch (error) {
           sendUpdate(`❌ Error updating "${item.title}": ${error.message}`, 'failed');
           failedCount++;
+          recordTouchedItem('failed', item, existingPage.id, error.message);
           await new Promise(resolve => setTimeout(resolve, 400));
         }
-      }
+      }, { keyOf: ({ existingPage }) => existingPage.id });
     }
     
+    // Resolve or flag items that changed on both sides
+    const conflictOutcomes = await processConflicts(itemsInConflict, mappingContext, sendUpdate);
+    updatedCount += conflictOutcomes.updated + conflictOutcomes.pushed;
+    skippedCount += conflictOutcomes.flagged;
+    failedCount += conflictOutcomes.failed;
+    
+    // Image updates queued by the writes above
+    followUps = await processFollowUps(sendUpdate);
+    
     // === FINAL SUMMARY ===
     const duration = SYNC_START_TIME ? Math.round((Date.now() - SYNC_START_TIME) / 1000) : 0;
     
     sendUpdate(`🎉 Smart Incremental Sync completed in ${duration}s!`, 'complete');
-    sendUpdate(`📊 Efficiency: Only checked ${recentRaindrops.length} recent items instead of all bookmarks`, 'info');
-    sendUpdate(`📈 Results: ${addedCount} added, ${updatedCount} updated, ${skippedCount} skipped, ${failedCount} failed, ${loopPreventionSkips} loop-prevention skips`, 'summary');
+    sendUpdate(`📊 Efficiency: Only checked ${recentRaindrops.length} changed items instead of all bookmarks`, 'info');
+    sendUpdate(`📈 Results: ${addedCount} added, ${updatedCount} updated, ${skippedCount} skipped, ${filteredCount} filtered out, ${failedCount} failed, ${loopPreventionSkips} loop-prevention skips, ${followUps.done} image updates done, ${followUps.failed} failed`, 'summary');
+    if (itemsInvalid.length > 0) {
+      sendUpdate(`⚠️ Not valid for Notion: ${describeInvalidReasons(invalidReasons)}`, 'summary');
+    }
     
     console.log(`✅ [${lockId}] SMART INCREMENTAL COMPLETE: ${duration}s, ${efficiency}% efficiency`);
     
+    // Only advance the watermark when every change was fetched and nothing retryable failed, so the rest are retried next run
+    if (fetchTruncated) {
+      sendUpdate('⚠️ Not every change was fetched - keeping the previous sync watermark', 'warning');
+    } else if (failedCount - itemsInvalid.length === 0) {
+      setLastSuccessfulSync('smart', runStartedAt);
+    } else {
+      sendUpdate(`⚠️ ${failedCount - itemsInvalid.length} items failed - keeping the previous sync watermark so they are retried`, 'warning');
+    }
+    
     if (currentSync) {
       currentSync.completed = true;
       currentSync.isRunning = false;
@@ -657,7 +1276,10 @@ async function performSmartIncrementalSync(daysBack = 30) {
         added: addedCount, 
         updated: updatedCount, 
         skipped: skippedCount + loopPreventionSkips, 
-        failed: failedCount 
+        filtered: filteredCount,
+        failed: failedCount,
+        followUpsDone: followUps.done,
+        followUpsFailed: followUps.failed
       },
       efficiency: { itemsProcessed: totalOperations, totalItems: recentRaindrops.length, percentage: efficiency, duration },
       mode: 'incremental'
@@ -676,60 +1298,1282 @@ async function performSmartIncrementalSync(daysBack = 30) {
   }
 }
 
-// DASHBOARD - KEEP REAL COUNTS BUT OPTIMIZE
-fastify.get('/', async (req, reply) => {
-  const password = req.query.password || '';
-
-  if (!validatePassword(password)) {
-    return reply.view('error', {
-      error: 'Invalid password',
-      password: '',
-      code: 'AUTH_ERROR',
-      details: 'Please provide a valid password'
-    });
-  }
-
+// MODE 3: TWO-WAY SYNC - Raindrop changes go to Notion, Notion edits come back to Raindrop
+async function performTwoWaySync(options = {}) {
+  const lockId = currentSync ? currentSync.lockId : 'unknown';
+  console.log(`🔁 Two-Way Sync starting - Lock ID: ${lockId}`);
+  
+  let addedCount = 0;
+  let updatedCount = 0;
+  let pushedCount = 0;
+  let skippedCount = 0;
+  let filteredCount = 0;
+  let failedCount = 0;
+  let loopPreventionSkips = 0;
+  let followUps = { done: 0, failed: 0 };
+  
+  const getCounts = () => ({
+    added: addedCount,
+    updated: updatedCount,
+    pushed: pushedCount,
+    skipped: skippedCount + loopPreventionSkips,
+    filtered: filteredCount,
+    failed: failedCount,
+    followUpsDone: followUps.done,
+    followUpsFailed: followUps.failed
+  });
+  
   try {
-    console.time('Dashboard Load');
-    
-    // Get ONLY the counts - fastest possible
-    const [raindropTotal, notionTotal] = await Promise.all([
-      getRaindropTotal(),
-      getTotalNotionPages()
-    ]);
+    SYNC_OPERATION_LOG.clear();
     
-    console.timeEnd('Dashboard Load');
+    // Helper to send progress updates
+    const sendUpdate = (message, type = '') => {
+      console.log(`🔁 [${lockId}] ${message}`);
+      
+      const updateData = {
+        message: `${message}`,
+        type,
+        counts: getCounts(),
+        lockInfo: {
+          locked: GLOBAL_SYNC_LOCK,
+          lockId: lockId,
+          duration: SYNC_START_TIME ? Math.round((Date.now() - SYNC_START_TIME) / 1000) : 0
+        }
+      };
+      
+      if (currentSync) {
+        currentSync.counts = updateData.counts;
+      }
+      
+      broadcastSSEData(updateData);
+    };
+    
+    sendUpdate('🔁 Starting Two-Way Sync', 'info');
+    
+    // === STEP 1: FETCH BOTH SIDES ===
+    sendUpdate('📡 Fetching Raindrop bookmarks and Notion pages...', 'fetching');
+    
+    let raindrops = [];
+    let notionPages = [];
+    try {
+      [raindrops, notionPages] = await Promise.all([getAllRaindrops(), getRoutedNotionPages()]);
+    } catch (error) {
+      throw new Error(`Failed to fetch data: ${error.message}`);
+    }
+    
+    const notionLookup = buildNotionLookup(notionPages);
+    const mappingContext = await buildMappingContext();
+    
+    sendUpdate(`✅ Loaded ${raindrops.length} bookmarks and ${notionPages.length} Notion pages`, 'success');
+    
+    // === STEP 2: DECIDE DIRECTION PER ITEM ===
+    const itemsToAdd = [];
+    const itemsToUpdate = [];
+    const itemsToPush = [];
+    const itemsInConflict = [];
+    
+    let reviewCount = 0;
+    const invalidReasons = {};
+    
+    for (const rawItem of raindrops) {
+      // Filtered items are left alone in both directions
+      if (getFilterReason(rawItem, mappingContext.collections)) {
+        filteredCount++;
+        continue;
+      }
+      
+      // So are items that can't be written to Notion
+      const { item, error } = prepareItem(rawItem);
+      if (error) {
+        failedCount++;
+        reportInvalidItem(item, error, sendUpdate, invalidReasons);
+        continue;
+      }
+      
+      const match = matchExistingPage(notionLookup, item, mappingContext);
+      
+      if (!match) {
+        itemsToAdd.push(item);
+        continue;
+      }
+      
+      // A weak match is never written: hold it until someone accepts or rejects it
+      if (match.needsReview) {
+        holdMatchForReview(item, match);
+        sendUpdate(`🔍 "${item.title}" needs match review (${describeMatch(match)})`, 'review');
+        reviewCount++;
+        skippedCount++;
+        continue;
+      }
+      const existingPage = match.page;
+      
+      // Both sides changed since the last sync: the conflict policy decides
+      const resolution = resolveConflictFor(item, existingPage);
+      if (resolution) {
+        itemsInConflict.push({ item, existingPage, resolution });
+        continue;
+      }
+      
+      const link = getLink(item._id);
+      const lastSynced = link && link.syncedAt && link.pageId === existingPage.id ? Date.parse(link.syncedAt) : null;
+      const notionEdited = lastSynced !== null && Date.parse(existingPage.last_edited_time) > lastSynced;
+      const raindropEdited = lastSynced === null || !item.lastUpdate || Date.parse(item.lastUpdate) > lastSynced;
+      
+      if (notionEdited && !raindropEdited) {
+        const changes = getWriteBackChanges(existingPage, item);
+        if (Object.keys(changes).length > 0) {
+          itemsToPush.push({ item, existingPage, changes });
+          continue;
+        }
+      }
+      
+      // Raindrop is authoritative for everything that was not edited in Notion only
+      const changedProperties = getChangedProperties(existingPage, item, mappingContext);
+      if (changedProperties.length > 0) {
+        itemsToUpdate.push({ item, existingPage, changedProperties });
+      } else {
+        markSynced(item, existingPage.id, existingPage);
+        skippedCount++;
+      }
+    }
+    
+    sendUpdate(`🔍 Diff complete: ${itemsToAdd.length} to add, ${itemsToUpdate.length} to update in Notion, ${itemsToPush.length} to push to Raindrop, ${itemsInConflict.length} in conflict, ${reviewCount} need match review, ${skippedCount - reviewCount} already synced, ${filteredCount} filtered out`, 'analysis');
+    
+    // === STEP 3: PUSH NOTION EDITS BACK TO RAINDROP ===
+    if (itemsToPush.length > 0) {
+      sendUpdate(`⬅️ Pushing ${itemsToPush.length} Notion edits to Raindrop...`, 'processing');
+      
+      for (const { item, existingPage, changes } of itemsToPush) {
+        try {
+          const isLoop = trackSyncOperation('push', item._id, item.title);
+          
+          if (isLoop) {
+            sendUpdate(`⚠️ Skipping push of "${item.title}" - potential loop detected`, 'warning');
+            loopPreventionSkips++;
+            continue;
+          }
+          
+          const updated = await updateRaindrop(item._id, changes);
+          markSynced({ ...item, ...changes, lastUpdate: (updated && updated.lastUpdate) || item.lastUpdate }, existingPage.id, existingPage);
+          pushedCount++;
+          recordTouchedItem('pushed', item, existingPage.id);
+          sendUpdate(`⬅️ Pushed to Raindrop: "${changes.title || item.title}" (${Object.keys(changes).join(', ')})`, 'pushed');
+          
+          await new Promise(resolve => setTimeout(resolve, 200));
+          
+        } catch (error) {
+          sendUpdate(`❌ Error pushing "${item.title}" to Raindrop: ${error.message}`, 'failed');
+          failedCount++;
+          recordTouchedItem('failed', item, existingPage.id, error.message);
+          await new Promise(resolve => setTimeout(resolve, 400));
+        }
+      }
+    }
+    
+    // === STEP 4: CREATE NEW PAGES ===
+    if (itemsToAdd.length > 0) {
+      sendUpdate(`➕ Creating ${itemsToAdd.length} new pages...`, 'processing');
+      
+      await runWithConcurrency(itemsToAdd, async item => {
+        try {
+          const itemKey = canonicalizeUrl(item.link) + '|' + normalizeTitle(item.title);
+          const isLoop = trackSyncOperation('create', itemKey, item.title);
+          
+          if (isLoop) {
+            sendUpdate(`⚠️ Skipping create of "${item.title}" - potential loop detected`, 'warning');
+            loopPreventionSkips++;
+            return;
+          }
+          
+          const result = await createNotionPage(item, mappingContext, getItemDatabaseId(item, mappingContext));
+          if (result.success) {
+            markSynced(item, result.pageId);
+            sendUpdate(`✅ Created: "${item.title}"`, 'added');
+            addedCount++;
+            recordTouchedItem('created', item, result.pageId);
+          } else {
+            sendUpdate(`❌ Failed to create: "${item.title}"${result.error ? ` - ${result.error}` : ''}`, 'failed');
+            failedCount++;
+            recordTouchedItem('failed', item, null, result.error || 'Create was rejected by Notion');
+          }
+          
+        } catch (error) {
+          sendUpdate(`❌ Error creating "${item.title}": ${error.message}`, 'failed');
+          failedCount++;
+          recordTouchedItem('failed', item, null, error.message);
+          await new Promise(resolve => setTimeout(resolve, 400));
+        }
+      }, { keyOf: item => canonicalizeUrl(item.link) });
+    }
+    
+    // === STEP 5: UPDATE NOTION PAGES FROM RAINDROP ===
+    if (itemsToUpdate.length > 0) {
+      sendUpdate(`🔄 Updating ${itemsToUpdate.length} existing pages...`, 'processing');
+      
+      await runWithConcurrency(itemsToUpdate, async ({ item, existingPage, changedProperties }) => {
+        try {
+          const isLoop = trackSyncOperation('update', existingPage.id, item.title);
+          
+          if (isLoop) {
+            sendUpdate(`⚠️ Skipping update of "${item.title}" - potential loop detected`, 'warning');
+            loopPreventionSkips++;
+            return;
+          }
+          
+          const success = await updateNotionPage(existingPage.id, item, mappingContext, existingPage);
+          if (success) {
+            markSynced(item, existingPage.id);
+            sendUpdate(`🔄 Updated: "${item.title}" (${changedProperties.join(', ')})`, 'updated');
+            updatedCount++;
+            recordTouchedItem('updated', item, existingPage.id);
+          } else {
+            sendUpdate(`❌ Failed to update: "${item.title}"`, 'failed');
+            failedCount++;
+            recordTouchedItem('failed', item, existingPage.id, 'Update was rejected by Notion');
+          }
+          
+        } catch (error) {
+          sendUpdate(`❌ Error updating "${item.title}": ${error.message}`, 'failed');
+          failedCount++;
+          recordTouchedItem('failed', item, existingPage.id, error.message);
+          await new Promise(resolve => setTimeout(resolve, 400));
+        }
+      }, { keyOf: ({ existingPage }) => existingPage.id });
+    }
+    
+    // === STEP 6: RESOLVE OR FLAG CONFLICTS ===
+    const conflictOutcomes = await processConflicts(itemsInConflict, mappingContext, sendUpdate);
+    updatedCount += conflictOutcomes.updated;
+    pushedCount += conflictOutcomes.pushed;
+    skippedCount += conflictOutcomes.flagged;
+    failedCount += conflictOutcomes.failed;
+    
+    // === STEP 7: OPTIONAL DELETION MIRRORING ===
+    if (options.mirrorDeletions) {
+      await performDeletionPass(raindrops, notionPages, sendUpdate);
+    }
+    
+    // === STEP 8: IMAGE UPDATES QUEUED BY THE WRITES ABOVE ===
+    followUps = await processFollowUps(sendUpdate);
+    
+    // === FINAL SUMMARY ===
+    const duration = SYNC_START_TIME ? Math.round((Date.now() - SYNC_START_TIME) / 1000) : 0;
+    
+    sendUpdate(`🎉 Two-Way Sync completed in ${duration}s!`, 'complete');
+    sendUpdate(`📈 Results: ${addedCount} added, ${updatedCount} updated, ${pushedCount} pushed to Raindrop, ${skippedCount} skipped, ${filteredCount} filtered out, ${failedCount} failed, ${loopPreventionSkips} loop-prevention skips, ${followUps.done} image updates done, ${followUps.failed} failed`, 'summary');
+    if (Object.keys(invalidReasons).length > 0) {
+      sendUpdate(`⚠️ Not valid for Notion: ${describeInvalidReasons(invalidReasons)}`, 'summary');
+    }
+    
+    if (currentSync) {
+      currentSync.completed = true;
+      currentSync.isRunning = false;
+    }
+    
+    broadcastSSEData({
+      complete: true,
+      finalCounts: getCounts(),
+      mode: 'two-way',
+      duration
+    });
+    
+    return { complete: true };
+    
+  } catch (error) {
+    console.error(`❌ [${lockId}] TWO-WAY SYNC ERROR:`, error);
+    broadcastSSEData({
+      message: `Two-Way Sync failed: ${error.message}`,
+      type: 'failed',
+      complete: true
+    });
+    throw error;
+  }
+}
+
+// APPLY A DRY-RUN PLAN: execute exactly the creates and updates it listed
+async function performPlanApply(planId, chunkSize = 25) {
+  const lockId = currentSync ? currentSync.lockId : 'unknown';
+  console.log(`📋 Applying plan ${planId} (chunk of ${chunkSize}) - Lock ID: ${lockId}`);
+  
+  let addedCount = 0;
+  let updatedCount = 0;
+  let skippedCount = 0;
+  let failedCount = 0;
+  let loopPreventionSkips = 0;
+  let followUps = { done: 0, failed: 0 };
+  
+  const getCounts = () => ({
+    added: addedCount,
+    updated: updatedCount,
+    skipped: skippedCount + loopPreventionSkips,
+    failed: failedCount,
+    followUpsDone: followUps.done,
+    followUpsFailed: followUps.failed
+  });
+  
+  try {
+    const sendUpdate = (message, type = '') => {
+      console.log(`📋 [${lockId}] ${message}`);
+      
+      const updateData = { message: `${message}`, type, counts: getCounts() };
+      if (currentSync) {
+        currentSync.counts = updateData.counts;
+      }
+      broadcastSSEData(updateData);
+    };
+    
+    const plan = getPlan(planId);
+    const problem = getPlanProblem(plan);
+    if (problem) {
+      throw new Error(problem);
+    }
+    
+    // Plans are applied in chunks, one request each, like full sync; the chunk is claimed before it is written
+    const { entries, start, end, total } = claimPlanChunk(planId, chunkSize);
+    if (start === 0) {
+      const totals = summarizePlan(plan.entries);
+      sendUpdate(`📋 Applying plan ${planId}: ${totals.create} to create, ${totals.update} to update`, 'info');
+    }
+    sendUpdate(`Applying entries ${start + 1}-${end} of ${total}`, 'processing');
+    
+    const mappingContext = await buildMappingContext();
+    const operations = entries.filter(entry => entry.action !== 'skip');
+    skippedCount = entries.length - operations.length;
+    let completed = start + skippedCount;
+    
+    const invalidReasons = {};
+    
+    // Entries for the same page run in order; everything else shares the write pool
+    await runWithConcurrency(operations, async entry => {
+      // Plans store normalized items, but plans made before validation existed may not be
+      const { item, error: invalidError } = prepareItem(entry.item);
+      
+      try {
+        if (invalidError) {
+          failedCount++;
+          reportInvalidItem(item, invalidError, sendUpdate, invalidReasons);
+        } else if (entry.action === 'create') {
+          const itemKey = canonicalizeUrl(item.link) + '|' + normalizeTitle(item.title);
+          if (trackSyncOperation('create', itemKey, item.title)) {
+            sendUpdate(`⚠️ Skipping create of "${item.title}" - potential loop detected`, 'warning');
+            loopPreventionSkips++;
+          } else {
+            const result = await createNotionPage(item, mappingContext, getItemDatabaseId(item, mappingContext));
+            if (result.success) {
+              markSynced(item, result.pageId);
+              sendUpdate(`✅ Created: "${item.title}"`, 'added');
+              addedCount++;
+              recordTouchedItem('created', item, result.pageId);
+            } else {
+              sendUpdate(`❌ Failed to create: "${item.title}"${result.error ? ` - ${result.error}` : ''}`, 'failed');
+              failedCount++;
+              recordTouchedItem('failed', item, null, result.error || 'Create was rejected by Notion');
+            }
+          }
+        } else if (entry.action === 'update') {
+          if (trackSyncOperation('update', entry.pageId, item.title)) {
+            sendUpdate(`⚠️ Skipping update of "${item.title}" - potential loop detected`, 'warning');
+            loopPreventionSkips++;
+          } else {
+            await updateNotionPage(entry.pageId, item, mappingContext);
+            markSynced(item, entry.pageId);
+            sendUpdate(`🔄 Updated: "${item.title}"`, 'updated');
+            updatedCount++;
+            recordTouchedItem('updated', item, entry.pageId);
+          }
+        }
+        
+      } catch (error) {
+        sendUpdate(`❌ Error applying ${entry.action} of "${item.title}": ${error.message}`, 'failed');
+        failedCount++;
+        recordTouchedItem('failed', item, entry.pageId || null, error.message);
+        await new Promise(resolve => setTimeout(resolve, 400));
+      }
+      
+      completed++;
+      broadcastSSEData({
+        type: 'progress',
+        completed,
+        total,
+        percentage: Math.round((completed / total) * 100),
+        counts: getCounts()
+      });
+    }, { keyOf: entry => entry.pageId || canonicalizeUrl(entry.item.link) });
+    
+    followUps = await processFollowUps(sendUpdate);
+    
+    const duration = SYNC_START_TIME ? Math.round((Date.now() - SYNC_START_TIME) / 1000) : 0;
+    sendUpdate(`📈 Plan chunk applied in ${duration}s: ${addedCount} added, ${updatedCount} updated, ${skippedCount} skipped, ${failedCount} failed, ${followUps.done} image updates done, ${followUps.failed} failed`, 'summary');
+    if (Object.keys(invalidReasons).length > 0) {
+      sendUpdate(`⚠️ Not valid for Notion: ${describeInvalidReasons(invalidReasons)}`, 'summary');
+    }
+    
+    if (currentSync) {
+      currentSync.completed = true;
+      currentSync.isRunning = false;
+    }
+    
+    broadcastSSEData({
+      complete: true,
+      chunkComplete: true,
+      hasMore: end < total,
+      nextIndex: end,
+      totalItems: total,
+      chunkCounts: {
+        created: addedCount,
+        updated: updatedCount,
+        skipped: skippedCount + loopPreventionSkips,
+        failed: failedCount,
+        followUpsDone: followUps.done,
+        followUpsFailed: followUps.failed
+      },
+      mode: 'apply',
+      planId,
+      duration
+    });
+    
+    return { complete: true, hasMore: end < total };
+    
+  } catch (error) {
+    console.error(`❌ [${lockId}] PLAN APPLY ERROR:`, error);
+    broadcastSSEData({
+      message: `Applying plan failed: ${error.message}`,
+      type: 'failed',
+      complete: true
+    });
+    throw error;
+  }
+}
+
+// OPT-IN DELETION MIRRORING: mark orphaned pages, archive them after the grace period
+async function performDeletionPass(raindrops, notionPages, sendUpdate) {
+  const results = { marked: 0, archived: 0, restored: 0, failed: 0, waiting: 0, blocked: false };
+  const raindropIds = new Set(raindrops.map(item => String(item._id)));
+  
+  // getAllRaindrops stops at its page cap and returns partial results on errors,
+  // so only a list that accounts for every bookmark can prove a page orphaned
+  let raindropTotal = null;
+  try {
+    raindropTotal = await getRaindropTotal();
+  } catch (error) {
+    results.blocked = true;
+    sendUpdate(`🛑 Deletion mirroring skipped: could not confirm the Raindrop bookmark count (${error.message})`, 'warning');
+    return results;
+  }
+  
+  if (raindropIds.size < raindropTotal) {
+    results.blocked = true;
+    sendUpdate(`🛑 Deletion mirroring skipped: only ${raindropIds.size} of ${raindropTotal} Raindrop bookmarks were fetched`, 'warning');
+    return results;
+  }
+  
+  const plan = planDeletions(raindropIds, notionPages, page => getLinkedRaindropId(page.id) || getPageRaindropId(page));
+  
+  results.waiting = plan.waiting;
+  
+  if (plan.blocked) {
+    results.blocked = true;
+    sendUpdate(`🛑 Deletion mirroring skipped: ${plan.reason}`, 'warning');
+    return results;
+  }
+  
+  sendUpdate(`🗑️ Deletion check: ${plan.orphanCount} orphaned pages (${plan.toMark.length} to mark, ${plan.toArchive.length} past the ${DELETION_CONFIG.graceDays}-day grace period), ${plan.toRestore.length} to restore`, 'analysis');
+  
+  for (const { page, raindropId } of plan.toRestore) {
+    try {
+      await updateNotionPageProperties(page.id, buildStatusProperties(false));
+      clearQuarantine(page.id);
+      results.restored++;
+      recordTouchedItem('restored', { _id: raindropId, title: readMappedField(page, 'title') }, page.id);
+    } catch (error) {
+      results.failed++;
+      recordTouchedItem('failed', { _id: raindropId, title: readMappedField(page, 'title') }, page.id, error.message);
+      sendUpdate(`❌ Failed to restore page for raindrop ${raindropId}: ${error.message}`, 'failed');
+    }
+  }
+  
+  for (const { page, raindropId, statusAlreadySet } of plan.toMark) {
+    try {
+      if (!statusAlreadySet) {
+        await updateNotionPageProperties(page.id, buildStatusProperties(true));
+      }
+      markQuarantined(page.id, raindropId);
+      results.marked++;
+      recordTouchedItem('marked', { _id: raindropId, title: readMappedField(page, 'title') }, page.id);
+    } catch (error) {
+      results.failed++;
+      recordTouchedItem('failed', { _id: raindropId, title: readMappedField(page, 'title') }, page.id, error.message);
+      sendUpdate(`❌ Failed to mark page for raindrop ${raindropId} as removed: ${error.message}`, 'failed');
+    }
+  }
+  
+  for (const { page, raindropId } of plan.toArchive) {
+    try {
+      await deleteNotionPage(page.id);
+      clearQuarantine(page.id);
+      unlinkRaindrop(raindropId);
+      results.archived++;
+      recordTouchedItem('archived', { _id: raindropId, title: readMappedField(page, 'title') }, page.id);
+    } catch (error) {
+      results.failed++;
+      recordTouchedItem('failed', { _id: raindropId, title: readMappedField(page, 'title') }, page.id, error.message);
+      sendUpdate(`❌ Failed to archive page for raindrop ${raindropId}: ${error.message}`, 'failed');
+    }
+  }
+  
+  sendUpdate(`🗑️ Deletions: ${results.marked} marked "${DELETION_CONFIG.removedStatus}", ${results.archived} archived, ${results.restored} restored, ${results.waiting} waiting, ${results.failed} failed`, 'summary');
+  broadcastSSEData({ type: 'deletions', deletions: results });
+  
+  return results;
+}
+
+// ONE-TIME JOB: write Raindrop IDs onto existing pages matched by URL
+async function performRaindropIdBackfill() {
+  const propertyName = getMappedPropertyName('id');
+  const idMapping = getPropertyMap().find(mapping => mapping.field === 'id');
+  
+  console.log(`🔢 Raindrop ID backfill starting (property: "${propertyName}")`);
+  
+  const [raindrops, pages] = await Promise.all([getAllRaindrops(), getRoutedNotionPages()]);
+  
+  // Only unambiguous URLs can be backfilled safely
+  const raindropsByUrl = new Map();
+  const ambiguousUrls = new Set();
+  for (const item of raindrops) {
+    const normUrl = canonicalizeUrl(item.link);
+    if (raindropsByUrl.has(normUrl)) {
+      ambiguousUrls.add(normUrl);
+    }
+    raindropsByUrl.set(normUrl, item);
+  }
+  
+  // Nor can URLs shared by several pages: the ID would end up on each of them
+  const pageIdsByUrl = new Map();
+  for (const page of pages) {
+    const url = readMappedField(page, 'link');
+    const normUrl = url ? canonicalizeUrl(url) : null;
+    if (normUrl) {
+      pageIdsByUrl.set(normUrl, [...(pageIdsByUrl.get(normUrl) || []), page.id]);
+    }
+  }
+  
+  const results = { checked: 0, alreadySet: 0, filled: 0, unmatched: 0, ambiguous: 0, duplicatePages: 0, failed: 0, duplicates: [], errors: [] };
+  
+  for (const page of pages) {
+    results.checked++;
+    
+    if (getPageRaindropId(page)) {
+      results.alreadySet++;
+      continue;
+    }
+    
+    const url = readMappedField(page, 'link');
+    const normUrl = url ? canonicalizeUrl(url) : null;
+    
+    if (!normUrl || !raindropsByUrl.has(normUrl)) {
+      results.unmatched++;
+      continue;
+    }
+    
+    if (ambiguousUrls.has(normUrl)) {
+      results.ambiguous++;
+      continue;
+    }
+    
+    const pageIds = pageIdsByUrl.get(normUrl);
+    if (pageIds.length > 1) {
+      results.duplicatePages++;
+      if (!results.duplicates.some(duplicate => duplicate.url === normUrl)) {
+        results.duplicates.push({ url: normUrl, pageIds });
+      }
+      continue;
+    }
+    
+    const item = raindropsByUrl.get(normUrl);
+    try {
+      await updateNotionPageProperties(page.id, { [propertyName]: encodeValue(idMapping.type, item._id) });
+      linkRaindrop(item._id, page.id);
+      results.filled++;
+    } catch (error) {
+      results.failed++;
+      results.errors.push({ pageId: page.id, error: error.message });
+    }
+  }
+  
+  console.log(`✅ Raindrop ID backfill complete: ${results.filled} filled, ${results.alreadySet} already set, ${results.unmatched} unmatched, ${results.ambiguous} ambiguous, ${results.duplicatePages} on duplicate pages, ${results.failed} failed`);
+  return results;
+}
+
+// DUPLICATE MERGE: keep one page of a duplicate group, union the tags and archive the rest
+async function performDuplicateMerge(canonicalId) {
+  const pages = await getRoutedNotionPages();
+  const group = findDuplicateGroups(pages).find(candidate => candidate.pages.some(page => page.id === canonicalId));
+
+  if (!group) {
+    return { merged: false, reason: 'Page is not part of a duplicate group' };
+  }
+  if (!group.mergeable) {
+    return { merged: false, reason: `Pages belong to different bookmarks (${group.raindropIds.join(', ')}); merge them in Raindrop first` };
+  }
+
+  const groupIds = new Set(group.pages.map(page => page.id));
+  const groupPages = pages.filter(page => groupIds.has(page.id));
+  const canonical = groupPages.find(page => page.id === canonicalId);
+  const duplicates = groupPages.filter(page => page.id !== canonicalId);
+  const raindropId = group.raindropIds[0] || null;
+
+  console.log(`🧬 Merging ${duplicates.length} duplicates into page ${canonicalId}`);
+
+  // Carry the union of tags and the raindrop ID over to the page being kept
+  const properties = {};
+  const tagsMapping = getPropertyMap().find(mapping => mapping.field === 'tags' && mapping.type === 'multi_select');
+  if (tagsMapping) {
+    const tags = mergePageTags([canonical, ...duplicates]);
+    if (tags.length !== (readMappedField(canonical, 'tags') || []).length) {
+      properties[tagsMapping.property] = encodeValue('multi_select', tags);
+    }
+  }
+  const idMapping = getPropertyMap().find(mapping => mapping.field === 'id');
+  if (raindropId && idMapping && !getPageRaindropId(canonical)) {
+    properties[idMapping.property] = encodeValue(idMapping.type, idMapping.type === 'number' ? Number(raindropId) : raindropId);
+  }
+  if (Object.keys(properties).length > 0) {
+    await updateNotionPageProperties(canonical.id, properties);
+  }
+
+  if (raindropId) {
+    linkRaindrop(raindropId, canonical.id);
+  }
+
+  const results = { merged: true, canonicalId, archived: 0, failed: 0, errors: [] };
+  for (const page of duplicates) {
+    try {
+      await deleteNotionPage(page.id);
+      clearQuarantine(page.id);
+      results.archived++;
+      await new Promise(resolve => setTimeout(resolve, 200));
+    } catch (error) {
+      results.failed++;
+      results.errors.push({ pageId: page.id, error: error.message });
+    }
+  }
+
+  console.log(`✅ Duplicate merge into ${canonicalId}: ${results.archived} archived, ${results.failed} failed`);
+  return results;
+}
+
+// SERVER-SIDE FULL SYNC JOBS: the server drives the chunks and checkpoints after each one
+const RUNNING_JOBS = new Set(); // Job IDs driven by this process
+const jobStreams = new Map();   // Job ID -> Map(streamId -> reply)
+
+function endStream(streamId, reply) {
+  activeStreams.delete(streamId);
+  try {
+    reply.raw.end();
+  } catch (e) {
+    // Connection already closed
+  }
+}
+
+function closeJobStreams(jobId) {
+  const streams = jobStreams.get(jobId);
+  if (!streams) return;
+  for (const [streamId, reply] of streams.entries()) {
+    endStream(streamId, reply);
+  }
+  jobStreams.delete(jobId);
+}
+
+async function runFullSyncJob(jobId) {
+  if (RUNNING_JOBS.has(jobId) || GLOBAL_SYNC_LOCK) {
+    return false;
+  }
+  
+  let job = getJob(jobId);
+  if (!job || job.status !== 'running') {
+    return false;
+  }
+  
+  GLOBAL_SYNC_LOCK = true;
+  SYNC_START_TIME = Date.now();
+  SYNC_LOCK_ID = jobId;
+  RUNNING_JOBS.add(jobId);
+  
+  currentSync = {
+    lockId: jobId,
+    jobId,
+    mode: 'full',
+    mirrorDeletions: Boolean(job.options.mirrorDeletions),
+    startTime: SYNC_START_TIME,
+    isRunning: true,
+    completed: false,
+    counts: job.counts
+  };
+  
+  const resumed = job.cursor > 0;
+  const countsAtStart = { ...job.counts };
+  currentSync.history = startRun('full', { jobId, resumed, mirrorDeletions: currentSync.mirrorDeletions, limit: job.options.limit || 0 });
+  job = updateJob(jobId, { resumeCount: job.resumeCount + (resumed ? 1 : 0) });
+  console.log(`🧾 ${resumed ? 'Resuming' : 'Starting'} job ${jobId} at item ${job.cursor}`);
+  broadcastSSEData({ type: 'job', job, message: `${resumed ? 'Resuming' : 'Starting'} full sync job ${jobId}${resumed ? ` from item ${job.cursor + 1}` : ''}` });
+  
+  // The schema check and prefetch can outlast staleAfterMs, so keep the heartbeat going until items flow
+  const heartbeat = setInterval(() => {
+    updateJob(jobId, {});
+    flushStores();
+  }, JOB_CONFIG.heartbeatMs);
+  
+  try {
+    // Check the database schemas before the first write of this run
+    await preflightSchema({ mirrorDeletions: currentSync.mirrorDeletions });
+    
+    // Fetch both sides once per run instead of once per chunk
+    const limit = job.options.limit || 0;
+    const [raindrops, notionPages] = await Promise.all([getAllRaindrops(limit), getRoutedNotionPages()]);
+    const prefetched = { raindrops, notionPages };
+    clearInterval(heartbeat);
+    job = updateJob(jobId, { total: raindrops.length });
+    
+    const onItemProcessed = () => updateJob(jobId, {});
+    
+    while (true) {
+      job = getJob(jobId);
+      if (job.status !== 'running') {
+        console.log(`🧾 Job ${jobId} stopped with status ${job.status}`);
+        break;
+      }
+      
+      const result = await performFullSync(job.cursor, job.chunkSize, limit, {
+        mirrorDeletions: job.options.mirrorDeletions,
+        prefetched,
+        onItemProcessed
+      });
+      
+      const chunkCounts = result.counts || {};
+      const counts = {
+        created: job.counts.created + (chunkCounts.created || 0),
+        updated: job.counts.updated + (chunkCounts.updated || 0),
+        failed: job.counts.failed + (chunkCounts.failed || 0),
+        skipped: job.counts.skipped + (chunkCounts.skipped || 0),
+        filtered: (job.counts.filtered || 0) + (chunkCounts.filtered || 0),
+        followUpsDone: (job.counts.followUpsDone || 0) + (chunkCounts.followUpsDone || 0),
+        followUpsFailed: (job.counts.followUpsFailed || 0) + (chunkCounts.followUpsFailed || 0)
+      };
+      
+      // A cancel may have arrived while the chunk was running
+      const latestStatus = getJob(jobId).status;
+      const status = latestStatus !== 'running' ? latestStatus : (result.hasMore ? 'running' : 'completed');
+      
+      job = updateJob(jobId, {
+        cursor: result.nextIndex !== undefined ? result.nextIndex : job.cursor,
+        total: result.totalItems !== undefined ? result.totalItems : job.total,
+        counts,
+        status,
+        finishedAt: status === 'running' ? null : new Date().toISOString()
+      });
+      
+      if (currentSync) {
+        currentSync.counts = counts;
+      }
+      broadcastSSEData({ type: 'job', job });
+      
+      if (status !== 'running') {
+        break;
+      }
+    }
+    
+  } catch (error) {
+    console.error(`❌ Job ${jobId} failed:`, error);
+    job = updateJob(jobId, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+  } finally {
+    clearInterval(heartbeat);
+    job = getJob(jobId);
+    
+    // History records what this invocation did, not the job's running totals
+    const runCounts = {};
+    for (const key of Object.keys(job.counts)) {
+      runCounts[key] = job.counts[key] - (countsAtStart[key] || 0);
+    }
+    finishRun(currentSync.history, {
+      counts: runCounts,
+      error: job.error,
+      status: job.status === 'running' ? 'interrupted' : job.status
+    });
+    flushStores();
+    
+    RUNNING_JOBS.delete(jobId);
+    GLOBAL_SYNC_LOCK = false;
+    SYNC_START_TIME = null;
+    SYNC_LOCK_ID = null;
+    currentSync = null;
+    
+    broadcastSSEData({
+      type: 'job',
+      job,
+      complete: true,
+      jobComplete: true,
+      finalCounts: job.counts,
+      message: job.status === 'failed' ? `Job failed: ${job.error}` : `Job ${job.status}`
+    });
+    closeJobStreams(jobId);
+  }
+  
+  return true;
+}
+
+// Attach a stream to a full sync job, creating the job or resuming a dead one as needed
+function attachToFullSyncJob({ jobId, limit, mirrorDeletions }, streamId, reply, send) {
+  let job = jobId ? getJob(jobId) : findUnfinishedJob('full');
+  
+  if (jobId && !job) {
+    send({ message: `Job ${jobId} not found`, type: 'error', complete: true, jobComplete: true });
+    endStream(streamId, reply);
+    return;
+  }
+  
+  if (job && job.status !== 'running') {
+    send({ type: 'job', job, complete: true, jobComplete: true, finalCounts: job.counts, message: `Job ${job.status}` });
+    endStream(streamId, reply);
+    return;
+  }
+  
+  let isNewJob = false;
+  if (!job) {
+    // A job whose checkpoints vanish on a cold start can't resume, so refuse to start one
+    if (!isDataDirDurable()) {
+      console.error('❌ Full sync jobs need SYNC_DATA_DIR set to persistent storage outside the temp directory');
+      send({ message: '❌ Full sync needs persistent storage: set SYNC_DATA_DIR to a directory outside the temp directory, so the job can resume after a cold start', type: 'error', complete: true, jobComplete: true });
+      endStream(streamId, reply);
+      return;
+    }
+    if (GLOBAL_SYNC_LOCK) {
+      send({ message: '⏸️ Sync already running, please wait...', type: 'waiting' });
+      setTimeout(() => endStream(streamId, reply), 5000);
+      return;
+    }
+    job = createJob('full', { limit, mirrorDeletions });
+    isNewJob = true;
+  }
+  
+  if (!jobStreams.has(job.id)) {
+    jobStreams.set(job.id, new Map());
+  }
+  jobStreams.get(job.id).set(streamId, reply);
+  send({ type: 'job', job, message: `Attached to full sync job ${job.id}` });
+  
+  if (RUNNING_JOBS.has(job.id)) {
+    return;
+  }
+  
+  if (isNewJob || isJobStale(job)) {
+    runFullSyncJob(job.id).then(started => {
+      if (!started) {
+        send({ message: '⏸️ Another sync holds the lock, retrying shortly...', type: 'waiting' });
+        jobStreams.get(job.id)?.delete(streamId);
+        setTimeout(() => endStream(streamId, reply), 5000);
+      }
+    });
+    return;
+  }
+  
+  // Checkpointed recently by another instance - let the client re-attach later
+  send({ message: '⏸️ Job is running on another instance, reconnecting shortly...', type: 'waiting' });
+  jobStreams.get(job.id).delete(streamId);
+  setTimeout(() => endStream(streamId, reply), 5000);
+}
+
+// Pick up jobs whose process died (crash, Vercel cold start)
+function resumeStaleJobs() {
+  for (const job of listJobs()) {
+    if (job.status === 'running' && !RUNNING_JOBS.has(job.id) && isJobStale(job)) {
+      console.log(`🧾 Found stale job ${job.id} at item ${job.cursor}, resuming`);
+      runFullSyncJob(job.id).catch(error => console.error(`Failed to resume job ${job.id}:`, error.message));
+      return; // One sync at a time
+    }
+  }
+}
+
+fastify.addHook('onReady', async () => {
+  setImmediate(resumeStaleJobs);
+});
+
+// Store changes made by a request reach disk before its response, since the function may be frozen after it
+fastify.addHook('onSend', async (request, reply, payload) => {
+  flushStores();
+  return payload;
+});
+
+// Bookmark and page counts per collection route (the default route's bookmarks are filled in by the caller).
+// Page counts come from the cached page index; fullRecount counts every page again.
+async function getRouteCounts({ fullRecount = false } = {}) {
+  const collections = routesNeedCollectionTitles() ? await getCollections() : new Map();
+  const counts = [];
+  
+  for (const route of getRoutes()) {
+    let raindropCount = null;
+    if (!route.isDefault) {
+      const collectionIds = getRouteCollectionIds(route, collections);
+      const collectionCounts = await Promise.all(collectionIds.map(collectionId => getRaindropTotal(collectionId)));
+      raindropCount = collectionCounts.reduce((sum, count) => sum + count, 0);
+    }
+    const notionCount = await getTotalNotionPages(route.databaseId, { fullRecount });
+    const cached = getPageCount(route.databaseId);
+    
+    counts.push({
+      name: route.name,
+      raindropCount,
+      notionCount,
+      countedAt: cached ? cached.countedAt : null,
+      diff: raindropCount === null ? null : Math.abs(raindropCount - notionCount)
+    });
+  }
+  
+  return counts;
+}
+
+// "2024-05-28 10:00:00 UTC" for the oldest full page count across routes
+function formatCountedAtLabel(routeCounts) {
+  const times = routeCounts.map(route => route.countedAt).filter(Boolean).sort();
+  return times.length > 0 ? times[0].replace('T', ' ').slice(0, 19) + ' UTC' : null;
+}
+
+// Compare every routed database with the properties the sync writes
+async function getSchemaReports(options = {}) {
+  const expected = getExpectedProperties(options);
+  const reports = [];
+
+  for (const route of getRoutes()) {
+    try {
+      const database = await getDatabase(route.databaseId);
+      reports.push({ route: route.name, databaseId: route.databaseId, error: null, ...checkDatabaseSchema(database, expected) });
+    } catch (error) {
+      reports.push({ route: route.name, databaseId: route.databaseId, error: error.message, missing: [], mistyped: [], titleProperty: null, ok: false });
+    }
+  }
+
+  return reports;
+}
+
+// Pre-flight before a sync: stop when a database lacks the properties the sync writes,
+// instead of letting every page write fail with a 400
+async function preflightSchema(options = {}) {
+  const problems = (await getSchemaReports(options)).filter(report => !report.ok);
+  if (problems.length === 0) {
+    return;
+  }
+
+  const details = problems.map(report => `${report.route}: ${report.error || describeSchemaProblems(report)}`).join('; ');
+  throw new Error(`Notion database schema check failed (${details}). Create the missing properties from the dashboard or fix them in Notion.`);
+}
+
+// Rows for the dashboard's schema panel (the templates only have an eq helper)
+function formatSchemaReportsForView(reports) {
+  const rows = [];
+
+  for (const report of reports) {
+    if (report.error) {
+      rows.push({ route: report.route, property: '-', expected: '-', actual: '-', fix: `Database could not be read: ${report.error}` });
+      continue;
+    }
+    for (const entry of report.missing) {
+      const fix = entry.type !== 'title'
+        ? 'Will be created'
+        : (report.titleProperty ? `Title property "${report.titleProperty}" will be renamed` : 'Add it in Notion');
+      rows.push({ route: report.route, property: entry.property, expected: entry.type, actual: 'missing', fix });
+    }
+    for (const entry of report.mistyped) {
+      rows.push({ route: report.route, property: entry.property, expected: entry.type, actual: entry.actualType, fix: 'Change the type in Notion' });
+    }
+  }
+
+  return rows;
+}
+
+// DASHBOARD - KEEP REAL COUNTS BUT OPTIMIZE
+fastify.get('/', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    return reply.view('error', {
+      error: 'Invalid password',
+      password: '',
+      code: 'AUTH_ERROR',
+      details: 'Please provide a valid password'
+    });
+  }
+
+  try {
+    console.time('Dashboard Load');
+    
+    // Get ONLY the counts - fastest possible
+    const [raindropTotal, routeCounts, schemaReports] = await Promise.all([
+      getRaindropTotal(),
+      getRouteCounts(),
+      getSchemaReports()
+    ]);
+    
+    // Bookmarks outside every routed collection belong to the default route
+    const defaultRoute = routeCounts[routeCounts.length - 1];
+    defaultRoute.raindropCount = raindropTotal - routeCounts.slice(0, -1).reduce((sum, route) => sum + route.raindropCount, 0);
+    defaultRoute.diff = Math.abs(defaultRoute.raindropCount - defaultRoute.notionCount);
+    const notionTotal = routeCounts.reduce((sum, route) => sum + route.notionCount, 0);
+    
+    console.timeEnd('Dashboard Load');
+
+    const diff = Math.abs(raindropTotal - notionTotal);
+    const isSynced = diff <= 5;
+    const conflicts = listConflicts().map(formatConflictForView);
+    const schemaProblems = formatSchemaReportsForView(schemaReports);
+
+    reply.view('index', {
+      password,
+      raindropTotal,
+      notionTotal,
+      raindropCount: raindropTotal,
+      notionCount: notionTotal,
+      diff,
+      isSynced,
+      syncStatus: isSynced ? 'Synced' : `${diff} bookmarks need sync`,
+      statusClass: isSynced ? 'synced' : 'not-synced',
+      conflicts,
+      hasConflicts: conflicts.length > 0,
+      conflictPolicy: CONFLICT_CONFIG.policy,
+      routeCounts,
+      hasRoutes: hasCollectionRoutes(),
+      notionCountedAt: formatCountedAtLabel(routeCounts),
+      schemaProblems,
+      hasSchemaProblems: schemaProblems.length > 0,
+      canProvisionSchema: schemaReports.some(report => Object.keys(buildProvisioningChanges(report)).length > 0)
+    });
+
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    reply.view('error', { 
+      error: error.message,
+      password,
+      code: 'FETCH_ERROR',
+      details: 'Failed to load dashboard data'
+    });
+  }
+});
+
+// SYNC PAGE - INSTANT LOAD
+fastify.get('/sync', async (req, reply) => {
+  const password = req.query.password || '';
+  const mode = req.query.mode || 'smart';
+
+  if (!validatePassword(password)) {
+    return reply.view('error', {
+      error: 'Invalid password',
+      password: '',
+      code: 'AUTH_ERROR',
+      details: 'Please provide a valid password'
+    });
+  }
+
+  // NO processing - just render immediately
+  const lastSmartSync = getLastSuccessfulSync('smart');
+  const pendingMatches = listPendingMatches().map(formatMatchForView);
+  reply.view('sync', {
+    password,
+    mode,
+    pendingMatches,
+    hasPendingMatches: pendingMatches.length > 0,
+    lastSmartSync: lastSmartSync ? new Date(lastSmartSync).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : null,
+    initialDays: SMART_SYNC_INITIAL_DAYS
+  });
+});
+
+// Format a stored run for the history page (the templates only have an eq helper)
+function formatRunForView(run) {
+  const counts = run.counts || {};
+  const countParts = [
+    `${counts.created || 0} created`,
+    `${counts.updated || 0} updated`,
+    counts.pushed ? `${counts.pushed} pushed` : null,
+    `${counts.skipped || 0} skipped`,
+    counts.filtered ? `${counts.filtered} filtered` : null,
+    `${counts.failed || 0} failed`,
+    counts.followUpsFailed ? `${counts.followUpsFailed} image updates failed` : null
+  ].filter(Boolean);
+
+  const flags = [
+    run.dryRun ? 'dry run' : null,
+    run.mirrorDeletions ? 'mirror deletions' : null,
+    run.jobId ? `job ${run.jobId}${run.resumed ? ' (resumed)' : ''}` : null
+  ].filter(Boolean);
+
+  return {
+    ...run,
+    startedLabel: new Date(run.startedAt).toISOString().replace('T', ' ').slice(0, 19) + ' UTC',
+    durationLabel: `${Math.round((run.durationMs || 0) / 1000)}s`,
+    countsLabel: countParts.join(', '),
+    flagsLabel: flags.join(', '),
+    itemCount: run.items.length + (run.itemsOmitted || 0)
+  };
+}
+
+// Format a flagged conflict for the dashboard review list
+function formatConflictForView(conflict) {
+  const describe = (values, field) => (field === 'tags' ? (values[field] || []).join(', ') || '(none)' : values[field] || '(empty)');
+  
+  return {
+    ...conflict,
+    changes: conflict.fields.map(field => ({
+      field,
+      raindrop: describe(conflict.raindrop, field),
+      notion: describe(conflict.notion, field)
+    })),
+    resolutionLabel: conflict.resolution ? `Will apply "${conflict.resolution}" on the next sync` : null
+  };
+}
+
+// DATABASE SCHEMA
+fastify.get('/api/schema', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  const mirrorDeletions = req.query.mirrorDeletions === 'true' || req.query.mirrorDeletions === '1';
+  reply.send({ databases: await getSchemaReports({ mirrorDeletions }) });
+});
+
+// Create missing properties (the caller must confirm, since this changes the user's databases)
+fastify.post('/api/schema/provision', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  if (!req.body || req.body.confirm !== true) {
+    reply.code(400).send({ error: 'Creating properties changes your Notion databases; send { "confirm": true } to go ahead' });
+    return;
+  }
+
+  if (GLOBAL_SYNC_LOCK) {
+    reply.code(409).send({ error: 'Sync already running, try again when it finishes' });
+    return;
+  }
+
+  const mirrorDeletions = req.body.mirrorDeletions === true;
+  const provisioned = [];
+
+  for (const report of await getSchemaReports({ mirrorDeletions })) {
+    const changes = buildProvisioningChanges(report);
+    if (Object.keys(changes).length === 0) {
+      continue;
+    }
+    try {
+      await updateDatabaseProperties(report.databaseId, changes);
+      provisioned.push({ route: report.route, properties: report.missing.filter(entry => entry.type !== 'title' || report.titleProperty).map(entry => entry.property) });
+    } catch (error) {
+      provisioned.push({ route: report.route, properties: [], error: error.message });
+    }
+  }
+
+  // Check again so the caller sees what is left to fix by hand
+  const remaining = (await getSchemaReports({ mirrorDeletions }))
+    .filter(report => !report.ok)
+    .map(report => ({ route: report.route, problems: report.error || describeSchemaProblems(report) }));
+
+  reply.send({ message: 'Schema provisioning complete', provisioned, remaining });
+});
+
+// CONFLICT REVIEW
+fastify.get('/api/conflicts', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  reply.send({ policy: CONFLICT_CONFIG.policy, conflicts: listConflicts() });
+});
+
+fastify.post('/api/conflicts/:raindropId/resolve', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  const policy = (req.body && req.body.policy) || req.query.policy || '';
+  if (!CONFLICT_POLICIES.includes(policy) || policy === 'review') {
+    reply.code(400).send({ error: `Resolution must be one of: ${CONFLICT_POLICIES.filter(p => p !== 'review').join(', ')}` });
+    return;
+  }
+
+  const conflict = setConflictResolution(req.params.raindropId, policy);
+  if (!conflict) {
+    reply.code(404).send({ error: 'Conflict not found' });
+    return;
+  }
 
-    const diff = Math.abs(raindropTotal - notionTotal);
-    const isSynced = diff <= 5;
+  console.log(`🔀 Conflict on raindrop ${conflict.raindropId} will be resolved with "${policy}"`);
+  reply.send({ conflict });
+});
 
-    reply.view('index', {
-      password,
-      raindropTotal,
-      notionTotal,
-      raindropCount: raindropTotal,
-      notionCount: notionTotal,
-      diff,
-      isSynced,
-      syncStatus: isSynced ? 'Synced' : `${diff} bookmarks need sync`,
-      statusClass: isSynced ? 'synced' : 'not-synced'
-    });
+// Format a queued match for the sync page review list
+function formatMatchForView(entry) {
+  return {
+    ...entry,
+    confidenceLabel: `${Math.round(entry.confidence * 100)}%`,
+    decisionLabel: entry.decision === 'accept' ? 'Accepted - will update this page on the next sync'
+      : entry.decision === 'reject' ? 'Rejected - will create a new page on the next sync'
+      : null
+  };
+}
 
-  } catch (error) {
-    console.error('Dashboard error:', error);
-    reply.view('error', { 
-      error: error.message,
-      password,
-      code: 'FETCH_ERROR',
-      details: 'Failed to load dashboard data'
-    });
+// MATCH REVIEW
+fastify.get('/api/match-review', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
   }
+
+  reply.send({ minConfidence: MATCH_CONFIG.minConfidence, matches: listPendingMatches() });
 });
 
-// SYNC PAGE - INSTANT LOAD
-fastify.get('/sync', async (req, reply) => {
+fastify.post('/api/match-review/:raindropId/:decision', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  const { raindropId, decision } = req.params;
+  if (decision !== 'accept' && decision !== 'reject') {
+    reply.code(400).send({ error: 'Decision must be one of: accept, reject' });
+    return;
+  }
+
+  const entry = decideMatch(raindropId, decision);
+  if (!entry) {
+    reply.code(404).send({ error: 'Pending match not found' });
+    return;
+  }
+
+  if (decision === 'accept') {
+    linkRaindrop(entry.raindropId, entry.pageId);
+  }
+
+  console.log(`🔍 Match of raindrop ${entry.raindropId} to page ${entry.pageId} ${decision}ed in review`);
+  reply.send({ match: formatMatchForView(entry) });
+});
+
+// SYNC HISTORY
+fastify.get('/history', async (req, reply) => {
   const password = req.query.password || '';
-  const mode = req.query.mode || 'smart';
 
   if (!validatePassword(password)) {
     return reply.view('error', {
@@ -740,11 +2584,37 @@ fastify.get('/sync', async (req, reply) => {
     });
   }
 
-  // NO processing - just render immediately
-  reply.view('sync', {
-    password,
-    mode
-  });
+  const runs = listRuns().map(formatRunForView);
+  reply.view('history', { password, runs, hasRuns: runs.length > 0 });
+});
+
+fastify.get('/api/history', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  const limit = parseInt(req.query.limit || '0', 10);
+  reply.send({ runs: limit > 0 ? listRuns(limit) : listRuns() });
+});
+
+fastify.get('/api/history/:id', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  const run = getRun(req.params.id);
+  if (!run) {
+    reply.code(404).send({ error: 'Run not found' });
+    return;
+  }
+
+  reply.send({ run });
 });
 
 // ENHANCED /sync-stream route with better error handling
@@ -752,6 +2622,8 @@ fastify.get('/sync-stream', async (req, reply) => {
   const password = req.query.password || '';
   const mode = req.query.mode || 'smart';
   const limit = parseInt(req.query.limit || '0', 10);
+  const mirrorDeletions = req.query.mirrorDeletions === 'true' || req.query.mirrorDeletions === '1';
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
 
   // Auth check
   if (!validatePassword(password)) {
@@ -782,6 +2654,29 @@ fastify.get('/sync-stream', async (req, reply) => {
   console.log(`🔗 Sync request: ${mode} (Stream ID: ${streamId})`);
   send({ message: ' Connected to sync stream', type: 'info' });
 
+  // Full sync runs as a server-side job; clients start it or re-attach by ID
+  const jobId = req.query.jobId || null;
+  if (jobId || (mode === 'full' && !dryRun)) {
+    req.raw.on('close', () => {
+      console.log(`🔌 Client detached from job stream: ${streamId}`);
+      activeStreams.delete(streamId);
+      for (const streams of jobStreams.values()) {
+        streams.delete(streamId);
+      }
+    });
+    
+    attachToFullSyncJob({ jobId, limit, mirrorDeletions }, streamId, reply, send);
+    return;
+  }
+
+  // Two-way sync writes to Raindrop as it goes and has no plan to stop at
+  if (mode === 'two-way' && dryRun) {
+    send({ message: '❌ Dry runs are not supported for two-way sync', type: 'error', complete: true });
+    activeStreams.delete(streamId);
+    reply.raw.end();
+    return;
+  }
+
   // Check if sync already running
   if (GLOBAL_SYNC_LOCK) {
     send({ message: '⏸️ Sync already running, please wait...', type: 'waiting' });
@@ -806,31 +2701,52 @@ fastify.get('/sync-stream', async (req, reply) => {
   currentSync = {
     lockId: streamId,
     mode: mode,
+    mirrorDeletions,
+    dryRun,
     startTime: SYNC_START_TIME,
     isRunning: true,
     completed: false,
-    counts: {}
+    counts: {},
+    history: startRun(mode, { dryRun, mirrorDeletions, limit })
   };
 
   // Choose and start sync with chunking support
-  let syncPromise;
-  if (mode === 'full') {
-    const startIndex = parseInt(req.query.startIndex || '0', 10);
-    const chunkSize = parseInt(req.query.chunkSize || '25', 10);
-    syncPromise = performFullSync(startIndex, chunkSize, limit);
-  } else {
-    syncPromise = performSmartIncrementalSync(30);
-  }
+  const startSync = () => {
+    if (mode === 'full') {
+      const startIndex = parseInt(req.query.startIndex || '0', 10);
+      const chunkSize = parseInt(req.query.chunkSize || '25', 10);
+      return performFullSync(startIndex, chunkSize, limit, { mirrorDeletions, dryRun });
+    } else if (mode === 'two-way') {
+      return performTwoWaySync({ mirrorDeletions });
+    } else if (mode === 'apply') {
+      return performPlanApply(req.query.planId || '', parseInt(req.query.chunkSize || '25', 10));
+    }
+    return performSmartIncrementalSync({ dryRun });
+  };
+
+  // Check the database schemas first, so a missing property stops the run before any write
+  send({ message: '🏗️ Checking Notion database schema...', type: 'info' });
+  let syncStarted = false;
+  const syncPromise = preflightSchema({ mirrorDeletions: mirrorDeletions && (mode === 'full' || mode === 'two-way') }).then(() => {
+    syncStarted = true;
+    return startSync();
+  });
 
-  // Handle sync completion
+  // Every sync mode sends its own complete message, so only a failed preflight is reported here
+  let syncError = null;
   syncPromise
-    .then(() => {
-      send({ message: 'Sync completed successfully', type: 'complete', complete: true });
-    })
     .catch(error => {
-      send({ message: ` Sync failed: ${error.message}`, type: 'error', complete: true });
+      syncError = error;
+      if (!syncStarted) {
+        send({ message: ` Sync failed: ${error.message}`, type: 'error', complete: true });
+      }
     })
     .finally(() => {
+      if (currentSync && currentSync.history) {
+        finishRun(currentSync.history, { counts: currentSync.counts, error: syncError });
+      }
+      flushStores();
+      
       // Clean up
       GLOBAL_SYNC_LOCK = false;
       SYNC_START_TIME = null;
@@ -854,6 +2770,262 @@ fastify.get('/sync-stream', async (req, reply) => {
   });
 });
 
+// Job status endpoints
+fastify.get('/api/jobs', async (req, reply) => {
+  const password = req.query.password || '';
+  
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+  
+  reply.send({ jobs: listJobs() });
+});
+
+fastify.get('/api/jobs/:id', async (req, reply) => {
+  const password = req.query.password || '';
+  
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+  
+  const job = getJob(req.params.id);
+  if (!job) {
+    reply.code(404).send({ error: 'Job not found' });
+    return;
+  }
+  
+  reply.send({ job, runningHere: RUNNING_JOBS.has(job.id), stale: isJobStale(job) });
+});
+
+fastify.post('/api/jobs/:id/cancel', async (req, reply) => {
+  const password = req.query.password || '';
+  
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+  
+  const job = getJob(req.params.id);
+  if (!job) {
+    reply.code(404).send({ error: 'Job not found' });
+    return;
+  }
+  
+  if (job.status !== 'running') {
+    reply.send({ message: `Job already ${job.status}`, job });
+    return;
+  }
+  
+  // The runner stops before its next chunk
+  const cancelled = updateJob(job.id, { status: 'cancelled', finishedAt: new Date().toISOString() });
+  reply.send({ message: 'Job cancelled', job: cancelled });
+});
+
+// One-time Raindrop ID backfill (safe to re-run, only fills missing IDs)
+fastify.post('/api/backfill-raindrop-ids', async (req, reply) => {
+  const password = req.query.password || '';
+  
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+  
+  if (GLOBAL_SYNC_LOCK) {
+    reply.code(409).send({ error: 'Sync already running, try again when it finishes' });
+    return;
+  }
+  
+  GLOBAL_SYNC_LOCK = true;
+  SYNC_START_TIME = Date.now();
+  
+  try {
+    const results = await performRaindropIdBackfill();
+    reply.send({ message: 'Raindrop ID backfill complete', ...results });
+  } finally {
+    GLOBAL_SYNC_LOCK = false;
+    SYNC_START_TIME = null;
+  }
+});
+
+// Readable names for the reasons a tag was rewritten
+const TAG_REWRITE_LABELS = {
+  alias: 'alias',
+  hierarchy: 'hierarchy split',
+  case: 'case folded',
+  ignored: 'ignored',
+  sanitized: 'sanitized for Notion'
+};
+
+// TAG REWRITE REPORT
+fastify.get('/tags', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    return reply.view('error', {
+      error: 'Invalid password',
+      password: '',
+      code: 'AUTH_ERROR',
+      details: 'Please provide a valid password'
+    });
+  }
+
+  const rewrites = listTagRewrites().map(rewrite => ({
+    ...rewrite,
+    resultLabel: rewrite.result.length > 0 ? rewrite.result.join(', ') : '(dropped)',
+    reasonLabel: rewrite.reasons.map(reason => TAG_REWRITE_LABELS[reason] || reason).join(', '),
+    firstSeenLabel: rewrite.firstSeen ? rewrite.firstSeen.slice(0, 10) : ''
+  }));
+
+  reply.view('tags', {
+    password,
+    rewrites,
+    hasRewrites: rewrites.length > 0
+  });
+});
+
+fastify.get('/api/tags/rewrites', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  reply.send({ rewrites: listTagRewrites() });
+});
+
+// DUPLICATES REPORT
+fastify.get('/duplicates', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    return reply.view('error', {
+      error: 'Invalid password',
+      password: '',
+      code: 'AUTH_ERROR',
+      details: 'Please provide a valid password'
+    });
+  }
+
+  try {
+    const groups = findDuplicateGroups(await getRoutedNotionPages()).map(group => ({
+      ...group,
+      reasonLabel: group.reasons.map(reason => (reason === 'url' ? 'same URL' : 'same Raindrop ID')).join(' + '),
+      pages: group.pages.map(page => ({
+        ...page,
+        isCanonical: page.id === group.canonicalId,
+        tagsLabel: page.tags.join(', '),
+        createdLabel: page.createdTime ? page.createdTime.slice(0, 10) : ''
+      }))
+    }));
+
+    reply.view('duplicates', {
+      password,
+      groups,
+      hasGroups: groups.length > 0,
+      pageCount: groups.reduce((sum, group) => sum + group.pages.length, 0)
+    });
+  } catch (error) {
+    console.error('Duplicates report error:', error);
+    reply.view('error', {
+      error: error.message,
+      password,
+      code: 'FETCH_ERROR',
+      details: 'Failed to scan Notion for duplicates'
+    });
+  }
+});
+
+fastify.get('/api/duplicates', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  const groups = findDuplicateGroups(await getRoutedNotionPages());
+  reply.send({
+    groups,
+    totals: {
+      groups: groups.length,
+      pages: groups.reduce((sum, group) => sum + group.pages.length, 0),
+      mergeable: groups.filter(group => group.mergeable).length
+    }
+  });
+});
+
+fastify.post('/api/duplicates/merge', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  const canonicalId = (req.body && req.body.canonicalId) || req.query.canonicalId || '';
+  if (!canonicalId) {
+    reply.code(400).send({ error: 'canonicalId is required' });
+    return;
+  }
+
+  if (GLOBAL_SYNC_LOCK) {
+    reply.code(409).send({ error: 'Sync already running, try again when it finishes' });
+    return;
+  }
+
+  GLOBAL_SYNC_LOCK = true;
+  SYNC_START_TIME = Date.now();
+
+  try {
+    const results = await performDuplicateMerge(canonicalId);
+    if (!results.merged) {
+      reply.code(422).send({ error: results.reason });
+      return;
+    }
+    reply.send({ message: 'Duplicates merged', ...results });
+  } finally {
+    GLOBAL_SYNC_LOCK = false;
+    SYNC_START_TIME = null;
+  }
+});
+
+// Count every Notion page again instead of refreshing the cached count
+fastify.post('/api/notion-count/refresh', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  // A recount reads every page, so it waits for a running sync instead of competing for the rate limit
+  if (GLOBAL_SYNC_LOCK) {
+    reply.code(409).send({ error: 'Sync already running, try again when it finishes' });
+    return;
+  }
+
+  const routeCounts = await getRouteCounts({ fullRecount: true });
+  reply.send({
+    notionTotal: routeCounts.reduce((sum, route) => sum + route.notionCount, 0),
+    routes: routeCounts.map(route => ({ name: route.name, notionCount: route.notionCount, countedAt: route.countedAt }))
+  });
+});
+
+// Request, retry and latency stats for the Raindrop and Notion APIs
+fastify.get('/api/http-stats', async (req, reply) => {
+  const password = req.query.password || '';
+
+  if (!validatePassword(password)) {
+    reply.code(401).send({ error: 'Unauthorized' });
+    return;
+  }
+
+  reply.send({ providers: getHttpStats() });
+});
+
 // Health check endpoint
 fastify.get('/health', async (req, reply) => {
   const health = {
@@ -863,6 +3035,7 @@ fastify.get('/health', async (req, reply) => {
       locked: GLOBAL_SYNC_LOCK,
       lockId: SYNC_LOCK_ID,
       activeStreams: activeStreams.size,
+      runningJobs: Array.from(RUNNING_JOBS),
       currentSync: currentSync ? {
         mode: currentSync.mode,
         startTime: currentSync.startTime,
@@ -901,6 +3074,10 @@ fastify.get('/debug', async (req, reply) => {
       size: SYNC_OPERATION_LOG.size,
       recentOperations: Array.from(SYNC_OPERATION_LOG.entries()).slice(-10)
     },
+    linkStore: {
+      linkedBookmarks: getLinkCount()
+    },
+    http: getHttpStats(),
     environment: {
       nodeVersion: process.version,
       platform: process.platform,
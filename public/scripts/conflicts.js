@@ -0,0 +1,49 @@
+/**
+ * Conflict Review - Choose how flagged conflicts are resolved on the next sync
+ */
+
+class ConflictReview {
+  constructor(panel) {
+    this.panel = panel;
+    this.bindEvents();
+    console.log('🔀 ConflictReview initialized');
+  }
+
+  bindEvents() {
+    this.panel.addEventListener('click', (e) => {
+      const button = e.target.closest('.conflict-button');
+      if (button) {
+        e.preventDefault();
+        this.resolve(button.closest('.conflict-actions'), button.dataset.policy);
+      }
+    });
+  }
+
+  async resolve(cell, policy) {
+    const password = Utils.getParam('password');
+    const raindropId = cell.dataset.raindropId;
+    const buttons = cell.querySelectorAll('.conflict-button');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+      await Utils.api.post(`/api/conflicts/${encodeURIComponent(raindropId)}/resolve?password=${encodeURIComponent(password)}`, { policy });
+      cell.innerHTML = '';
+      const status = document.createElement('span');
+      status.className = 'conflict-status';
+      status.textContent = `Will apply "${policy}" on the next sync`;
+      cell.appendChild(status);
+    } catch (error) {
+      console.warn('Failed to resolve conflict:', error);
+      buttons.forEach(button => { button.disabled = false; });
+      alert(`Could not save the resolution: ${error.message}`);
+    }
+  }
+}
+
+// Initialize conflict review on the dashboard
+Utils.ready(() => {
+  const panel = document.getElementById('conflict-panel');
+  if (panel) {
+    window.conflictReview = new ConflictReview(panel);
+  }
+});
@@ -0,0 +1,52 @@
+/**
+ * Duplicate Merge - Keep one page of a duplicate group and archive the rest
+ */
+
+class DuplicateMerge {
+  constructor(panel) {
+    this.panel = panel;
+    this.bindEvents();
+    console.log('🧬 DuplicateMerge initialized');
+  }
+
+  bindEvents() {
+    this.panel.addEventListener('click', (e) => {
+      const button = e.target.closest('.duplicate-merge-button');
+      if (button) {
+        e.preventDefault();
+        this.merge(button.closest('.duplicate-group'), button.dataset.pageId);
+      }
+    });
+  }
+
+  async merge(group, canonicalId) {
+    const password = Utils.getParam('password');
+    const buttons = group.querySelectorAll('.duplicate-merge-button');
+    const status = group.querySelector('.duplicate-status');
+
+    if (!confirm('Keep this page, copy all tags onto it and archive the other pages in this group?')) {
+      return;
+    }
+
+    buttons.forEach(button => { button.disabled = true; });
+    status.textContent = 'Merging...';
+
+    try {
+      const result = await Utils.api.post(`/api/duplicates/merge?password=${encodeURIComponent(password)}`, { canonicalId });
+      status.textContent = `Merged: ${result.archived} archived${result.failed ? `, ${result.failed} failed` : ''}`;
+      group.classList.add('duplicate-merged');
+    } catch (error) {
+      console.warn('Failed to merge duplicates:', error);
+      status.textContent = `Merge failed: ${error.message}`;
+      buttons.forEach(button => { button.disabled = false; });
+    }
+  }
+}
+
+// Initialize duplicate merge on the report page
+Utils.ready(() => {
+  const panel = document.getElementById('duplicates-panel');
+  if (panel) {
+    window.duplicateMerge = new DuplicateMerge(panel);
+  }
+});
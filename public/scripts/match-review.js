@@ -0,0 +1,49 @@
+/**
+ * Match Review - Accept or reject weak bookmark/page matches before the sync writes them
+ */
+
+class MatchReview {
+  constructor(panel) {
+    this.panel = panel;
+    this.bindEvents();
+    console.log('🔍 MatchReview initialized');
+  }
+
+  bindEvents() {
+    this.panel.addEventListener('click', (e) => {
+      const button = e.target.closest('.match-review-button');
+      if (button) {
+        e.preventDefault();
+        this.decide(button.closest('.match-review-actions'), button.dataset.decision);
+      }
+    });
+  }
+
+  async decide(cell, decision) {
+    const password = Utils.getParam('password');
+    const raindropId = cell.dataset.raindropId;
+    const buttons = cell.querySelectorAll('.match-review-button');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+      const result = await Utils.api.post(`/api/match-review/${encodeURIComponent(raindropId)}/${decision}?password=${encodeURIComponent(password)}`, {});
+      cell.innerHTML = '';
+      const status = document.createElement('span');
+      status.className = 'conflict-status';
+      status.textContent = result.match.decisionLabel;
+      cell.appendChild(status);
+    } catch (error) {
+      console.warn('Failed to save match decision:', error);
+      buttons.forEach(button => { button.disabled = false; });
+      alert(`Could not save the decision: ${error.message}`);
+    }
+  }
+}
+
+// Initialize match review on the sync page
+Utils.ready(() => {
+  const panel = document.getElementById('review-panel');
+  if (panel) {
+    window.matchReview = new MatchReview(panel);
+  }
+});
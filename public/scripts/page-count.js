@@ -0,0 +1,47 @@
+/**
+ * Page Count - Recount every Notion page instead of using the cached count
+ */
+
+class PageCountRefresh {
+  constructor(panel) {
+    this.panel = panel;
+    this.bindEvents();
+    console.log('🔢 PageCountRefresh initialized');
+  }
+
+  bindEvents() {
+    this.panel.addEventListener('click', (e) => {
+      const button = e.target.closest('.page-count-button');
+      if (button) {
+        e.preventDefault();
+        this.recount(button);
+      }
+    });
+  }
+
+  async recount(button) {
+    const password = Utils.getParam('password');
+    const status = this.panel.querySelector('.page-count-status');
+
+    button.disabled = true;
+    status.textContent = 'Counting every Notion page, this can take a while on large databases...';
+
+    try {
+      const result = await Utils.api.post(`/api/notion-count/refresh?password=${encodeURIComponent(password)}`, {});
+      status.textContent = `Counted ${result.notionTotal} Notion pages. Reloading...`;
+      window.location.reload();
+    } catch (error) {
+      console.warn('Failed to recount Notion pages:', error);
+      status.textContent = `Could not recount: ${error.message}`;
+      button.disabled = false;
+    }
+  }
+}
+
+// Initialize the recount button on the dashboard
+Utils.ready(() => {
+  const panel = document.getElementById('page-count-panel');
+  if (panel) {
+    window.pageCountRefresh = new PageCountRefresh(panel);
+  }
+});
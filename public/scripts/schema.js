@@ -0,0 +1,58 @@
+/**
+ * Schema Provisioning - Create the Notion properties the sync needs but the databases lack
+ */
+
+class SchemaProvision {
+  constructor(panel) {
+    this.panel = panel;
+    this.bindEvents();
+    console.log('🏗️ SchemaProvision initialized');
+  }
+
+  bindEvents() {
+    this.panel.addEventListener('click', (e) => {
+      const button = e.target.closest('.schema-provision-button');
+      if (button) {
+        e.preventDefault();
+        this.provision(button);
+      }
+    });
+  }
+
+  async provision(button) {
+    const password = Utils.getParam('password');
+    const status = this.panel.querySelector('.schema-status');
+
+    if (!confirm('Create the missing properties in your Notion databases? Mistyped properties are left for you to fix.')) {
+      return;
+    }
+
+    button.disabled = true;
+    status.textContent = 'Creating properties...';
+
+    try {
+      const result = await Utils.api.post(`/api/schema/provision?password=${encodeURIComponent(password)}`, { confirm: true });
+      const created = result.provisioned.reduce((sum, entry) => sum + entry.properties.length, 0);
+      const failed = result.provisioned.filter(entry => entry.error).map(entry => `${entry.route}: ${entry.error}`);
+      const remaining = result.remaining.map(entry => `${entry.route}: ${entry.problems}`);
+
+      status.textContent = [
+        `Created ${created} properties.`,
+        failed.length ? `Failed: ${failed.join('; ')}.` : null,
+        remaining.length ? `Still to fix: ${remaining.join('; ')}.` : 'The schema is ready to sync.'
+      ].filter(Boolean).join(' ');
+    } catch (error) {
+      console.warn('Failed to create properties:', error);
+      status.textContent = `Could not create properties: ${error.message}`;
+      button.disabled = false;
+    }
+  }
+}
+
+// Initialize schema provisioning on the dashboard
+Utils.ready(() => {
+  const panel = document.getElementById('schema-panel');
+  if (panel) {
+    window.schemaProvision = new SchemaProvision(panel);
+  }
+});
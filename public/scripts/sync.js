@@ -1,8 +1,10 @@
 /**
- * CHUNKED Sync Manager - Handles 25-item chunks with state tracking
- * Features: Progress across chunks, fail tracking, clean stop logic
+ * CHUNKED Sync Manager - Streams sync progress with state tracking
+ * Features: Server-side full sync jobs (re-attach by ID), fail tracking, clean stop logic
  */
 
+const JOB_STORAGE_KEY = 'raindropNotionSyncJobId';
+
 class ChunkedSyncManager {
   constructor() {
     this.evtSource = null;
@@ -18,6 +20,16 @@ class ChunkedSyncManager {
     this.totalUpdated = 0;
     this.totalFailed = 0;
     this.totalSkipped = 0;
+    this.totalFiltered = 0;
+    this.totalFollowUpsDone = 0;
+    this.totalFollowUpsFailed = 0;
+    
+    // Server-side job being followed (full sync)
+    this.jobId = null;
+    
+    // Dry-run plan state
+    this.planId = null;
+    this.applyingPlan = false;
     
     this.init();
   }
@@ -33,6 +45,7 @@ class ChunkedSyncManager {
   bindEvents() {
     const syncBtn = document.getElementById('syncBtn');
     const stopBtn = document.getElementById('stopBtn');
+    const applyPlanBtn = document.getElementById('applyPlanBtn');
     
     if (syncBtn) {
       syncBtn.addEventListener('click', (e) => {
@@ -47,6 +60,13 @@ class ChunkedSyncManager {
         this.stopSync();
       });
     }
+    
+    if (applyPlanBtn) {
+      applyPlanBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.applyPlan();
+      });
+    }
 
     window.addEventListener('beforeunload', () => {
       this.cleanup();
@@ -57,6 +77,45 @@ class ChunkedSyncManager {
     this.updateProgressBar(0);
     this.hideStopButton();
     this.resetCounters();
+    this.resumeStoredJob();
+  }
+
+  // Re-attach to a full sync job that was still running when the tab was closed
+  async resumeStoredJob() {
+    const jobId = Utils.storage.get(JOB_STORAGE_KEY);
+    const password = Utils.getParam('password');
+    if (!jobId || !password) {
+      return;
+    }
+
+    try {
+      const { job } = await Utils.api.get(`/api/jobs/${encodeURIComponent(jobId)}?password=${encodeURIComponent(password)}`);
+      if (job.status !== 'running') {
+        Utils.storage.remove(JOB_STORAGE_KEY);
+        return;
+      }
+
+      this.jobId = job.id;
+      this.syncInProgress = true;
+      this.updateSyncButton(true);
+      this.showStopButton();
+      this.handleJobUpdate({ job });
+      this.updateProgressText(`Re-attaching to running sync (${job.cursor}/${job.total || '?'})...`);
+      this.connectToSync(this.getJobStreamUrl());
+    } catch (error) {
+      console.warn('Could not re-attach to stored job:', error);
+      Utils.storage.remove(JOB_STORAGE_KEY);
+    }
+  }
+
+  getJobStreamUrl() {
+    const password = Utils.getParam('password');
+    return `/sync-stream?password=${encodeURIComponent(password)}&jobId=${encodeURIComponent(this.jobId)}&_t=${Date.now()}`;
+  }
+
+  clearJob() {
+    this.jobId = null;
+    Utils.storage.remove(JOB_STORAGE_KEY);
   }
 
   resetCounters() {
@@ -66,6 +125,9 @@ class ChunkedSyncManager {
     this.totalUpdated = 0;
     this.totalFailed = 0;
     this.totalSkipped = 0;
+    this.totalFiltered = 0;
+    this.totalFollowUpsDone = 0;
+    this.totalFollowUpsFailed = 0;
   }
 
   startChunkedSync() {
@@ -74,6 +136,8 @@ class ChunkedSyncManager {
     }
 
     this.resetCounters();
+    this.applyingPlan = false;
+    this.hidePlan();
     this.syncInProgress = true;
     this.updateSyncButton(true);
     this.showStopButton();
@@ -83,6 +147,44 @@ class ChunkedSyncManager {
     this.processNextChunk();
   }
 
+  // Execute the plan from the last dry run
+  applyPlan() {
+    if (this.syncInProgress || !this.planId) {
+      return;
+    }
+
+    const password = Utils.getParam('password');
+    if (!password) {
+      alert('Password required');
+      return;
+    }
+
+    this.resetCounters();
+    this.applyingPlan = true;
+    this.syncInProgress = true;
+    this.updateSyncButton(true);
+    this.showStopButton();
+    this.updateProgressBar(0);
+    this.updateProgressText('Applying plan...');
+
+    const applyPlanBtn = document.getElementById('applyPlanBtn');
+    if (applyPlanBtn) {
+      applyPlanBtn.disabled = true;
+    }
+
+    this.applyNextPlanChunk();
+  }
+
+  // Plans are applied a chunk per request; the server keeps track of where the plan is up to
+  applyNextPlanChunk() {
+    if (!this.syncInProgress) {
+      return; // Stop was called
+    }
+
+    const password = Utils.getParam('password');
+    this.connectToSync(`/sync-stream?password=${encodeURIComponent(password)}&mode=apply&planId=${encodeURIComponent(this.planId)}&chunkSize=${this.chunkSize}&_t=${Date.now()}`);
+  }
+
   processNextChunk() {
     if (!this.syncInProgress) {
       return; // Stop was called
@@ -103,7 +205,14 @@ class ChunkedSyncManager {
     
     this.updateProgressText(`Processing bookmarks...`);
     
-    const syncUrl = `/sync-stream?password=${encodeURIComponent(password)}&mode=${mode}&startIndex=${this.currentIndex}&chunkSize=${this.chunkSize}&_t=${Date.now()}`;
+    const mirrorDeletions = document.getElementById('mirrorDeletions');
+    const dryRun = document.getElementById('dryRun');
+    let options = mirrorDeletions && mirrorDeletions.checked ? '&mirrorDeletions=1' : '';
+    if (dryRun && dryRun.checked) {
+      options += '&dryRun=1';
+    }
+    
+    const syncUrl = `/sync-stream?password=${encodeURIComponent(password)}&mode=${mode}&startIndex=${this.currentIndex}&chunkSize=${this.chunkSize}${options}&_t=${Date.now()}`;
     this.connectToSync(syncUrl);
   }
 
@@ -130,13 +239,26 @@ class ChunkedSyncManager {
     this.evtSource.onerror = () => {
       console.error('❌ Connection error');
       
+      // A job keeps running (or gets resumed) on the server - keep re-attaching until it finishes
+      if (this.jobId) {
+        this.cleanup();
+        this.updateProgressText(`Reconnecting to sync job... (${this.currentIndex}/${this.totalItems || '?'})`);
+        setTimeout(() => {
+          if (this.syncInProgress && this.jobId) {
+            this.connectToSync(this.getJobStreamUrl());
+          }
+        }, 10000);
+        return;
+      }
+      
       if (this.connectionRetries < this.maxRetries) {
         this.connectionRetries++;
         this.updateProgressText(`Connection lost, retrying... (${this.connectionRetries}/${this.maxRetries})`);
         
         setTimeout(() => {
           if (this.syncInProgress) {
-            this.connectToSync(url);
+            // Jobs keep running on the server, so re-attach instead of starting over
+            this.connectToSync(this.jobId ? this.getJobStreamUrl() : url);
           }
         }, 2000 * this.connectionRetries);
       } else {
@@ -159,9 +281,39 @@ class ChunkedSyncManager {
       return;
     }
     
-    // Handle chunk completion
+    // Handle follow-up task progress (image updates after the writes)
+    if (data.type === 'followups') {
+      this.updateProgressText(`Image updates: ${data.done + data.failed}/${data.total} (${data.failed} failed)`);
+      return;
+    }
+    
+    // Handle dry-run plans
+    if (data.type === 'plan') {
+      this.renderPlan(data);
+      return;
+    }
+    
+    // Handle server-side job checkpoints
+    if (data.type === 'job') {
+      this.handleJobUpdate(data);
+      return;
+    }
+    
+    // Handle chunk completion (jobs report progress through their checkpoints instead)
     if (data.chunkComplete) {
-      this.handleChunkCompletion(data);
+      if (!this.jobId) {
+        this.handleChunkCompletion(data);
+      }
+      return;
+    }
+    
+    // Non-chunked runs (smart, two-way) finish with a single complete message
+    if (data.complete) {
+      if (data.type === 'error' || data.type === 'failed') {
+        this.stopSyncWithError(data.message);
+      } else {
+        this.handleSyncCompletion(data);
+      }
       return;
     }
     
@@ -171,6 +323,50 @@ class ChunkedSyncManager {
     }
   }
 
+  handleJobUpdate(data) {
+    const job = data.job;
+    if (!job) {
+      if (data.jobComplete) {
+        this.clearJob();
+        this.stopSyncWithError(data.message || 'Job not found');
+      }
+      return;
+    }
+
+    if (this.jobId !== job.id) {
+      this.jobId = job.id;
+      Utils.storage.set(JOB_STORAGE_KEY, job.id);
+    }
+
+    this.currentIndex = job.cursor;
+    this.totalCreated = job.counts.created;
+    this.totalUpdated = job.counts.updated;
+    this.totalFailed = job.counts.failed;
+    this.totalSkipped = job.counts.skipped;
+    this.totalFiltered = job.counts.filtered || 0;
+    this.totalFollowUpsDone = job.counts.followUpsDone || 0;
+    this.totalFollowUpsFailed = job.counts.followUpsFailed || 0;
+
+    if (job.total) {
+      this.updateProgress(job.cursor, job.total, Math.round((job.cursor / job.total) * 100));
+    }
+
+    if (data.jobComplete) {
+      this.clearJob();
+      if (job.status === 'failed') {
+        this.stopSyncWithError(job.error || 'Job failed');
+      } else if (job.status === 'cancelled') {
+        this.syncInProgress = false;
+        this.updateSyncButton(false);
+        this.hideStopButton();
+        this.updateProgressText(`Sync stopped at ${job.cursor}/${job.total || '?'}`);
+        this.cleanup();
+      } else {
+        this.handleSyncCompletion();
+      }
+    }
+  }
+
   // Update progress: "25/1365 complete"
   updateProgress(completed, total, percentage) {
     this.totalItems = total; // Update total if we didn't have it
@@ -190,6 +386,9 @@ class ChunkedSyncManager {
       this.totalUpdated += data.chunkCounts.updated || 0;
       this.totalFailed += data.chunkCounts.failed || 0;
       this.totalSkipped += data.chunkCounts.skipped || 0;
+      this.totalFiltered += data.chunkCounts.filtered || 0;
+      this.totalFollowUpsDone += data.chunkCounts.followUpsDone || 0;
+      this.totalFollowUpsFailed += data.chunkCounts.followUpsFailed || 0;
     }
     
     // Update current position
@@ -214,25 +413,52 @@ class ChunkedSyncManager {
       
       setTimeout(() => {
         if (this.syncInProgress) {
-          this.processNextChunk();
+          if (this.applyingPlan) {
+            this.applyNextPlanChunk();
+          } else {
+            this.processNextChunk();
+          }
         }
       }, 1000);
     } else {
-      // All chunks complete
-      this.handleSyncCompletion();
+      // All chunks complete - the last chunk's message says whether this was a dry run
+      this.handleSyncCompletion(data);
     }
   }
 
-  handleSyncCompletion() {
+  handleSyncCompletion(data = {}) {
     console.log('🎉 All chunks completed!');
     
+    if (data.finalCounts) {
+      this.totalCreated = data.finalCounts.added || data.finalCounts.created || 0;
+      this.totalUpdated = data.finalCounts.updated || 0;
+      this.totalFailed = data.finalCounts.failed || 0;
+      this.totalSkipped = data.finalCounts.skipped || 0;
+      this.totalFiltered = data.finalCounts.filtered || 0;
+      this.totalFollowUpsDone = data.finalCounts.followUpsDone || 0;
+      this.totalFollowUpsFailed = data.finalCounts.followUpsFailed || 0;
+    }
+    
     this.syncInProgress = false;
     this.updateSyncButton(false);
     this.hideStopButton();
     this.updateProgressBar(100);
     
-    const totalProcessed = this.totalCreated + this.totalUpdated + this.totalFailed + this.totalSkipped;
-    this.updateProgressText(`Sync completed! ${totalProcessed}/${this.totalItems} processed`);
+    const totalProcessed = this.totalCreated + this.totalUpdated + this.totalFailed + this.totalSkipped + this.totalFiltered;
+    const followUpNote = this.totalFollowUpsFailed ? `, ${this.totalFollowUpsFailed} image updates failed` : '';
+    if (data.dryRun) {
+      this.updateProgressText('Dry run complete - review the plan below');
+    } else if (this.applyingPlan) {
+      this.updateProgressText(`Plan applied! ${this.totalCreated} created, ${this.totalUpdated} updated, ${this.totalFailed} failed${followUpNote}`);
+    } else {
+      const notes = [
+        this.totalFiltered ? `${this.totalFiltered} filtered out` : null,
+        this.totalFollowUpsFailed ? `${this.totalFollowUpsFailed} image updates failed` : null
+      ].filter(Boolean);
+      const note = notes.length > 0 ? ` (${notes.join(', ')})` : '';
+      this.updateProgressText(`Sync completed! ${totalProcessed}/${this.totalItems || totalProcessed} processed${note}`);
+    }
+    this.applyingPlan = false;
     
     // Log final results
     console.log('📊 Final Results:', {
@@ -241,12 +467,64 @@ class ChunkedSyncManager {
       created: this.totalCreated,
       updated: this.totalUpdated,
       failed: this.totalFailed,
-      skipped: this.totalSkipped
+      skipped: this.totalSkipped,
+      filtered: this.totalFiltered,
+      followUpsDone: this.totalFollowUpsDone,
+      followUpsFailed: this.totalFollowUpsFailed
     });
     
     this.cleanup();
   }
 
+  // Render a dry-run plan as a table with an apply button
+  renderPlan(data) {
+    const panel = document.getElementById('plan-panel');
+    const rows = document.getElementById('plan-rows');
+    const summary = document.getElementById('plan-summary');
+    const applyPlanBtn = document.getElementById('applyPlanBtn');
+    if (!panel || !rows) return;
+
+    this.planId = data.planId;
+    const totals = data.totals || {};
+    const operations = (totals.create || 0) + (totals.update || 0);
+
+    summary.textContent = `Plan: ${totals.create || 0} create, ${totals.update || 0} update, ${totals.skip || 0} skip`;
+    rows.innerHTML = '';
+
+    for (const entry of data.entries || []) {
+      const row = document.createElement('tr');
+      const cells = [
+        entry.action,
+        entry.title || 'Untitled',
+        entry.url || '',
+        (entry.changedProperties || []).join(', ')
+      ];
+
+      cells.forEach((value, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        if (index === 0) {
+          cell.className = `plan-action-${entry.action}`;
+        }
+        row.appendChild(cell);
+      });
+
+      rows.appendChild(row);
+    }
+
+    if (applyPlanBtn) {
+      applyPlanBtn.disabled = operations === 0;
+      applyPlanBtn.textContent = operations === 0 ? 'Nothing to apply' : 'Apply this plan';
+    }
+
+    Utils.ui.show(panel);
+  }
+
+  hidePlan() {
+    this.planId = null;
+    Utils.ui.hide(document.getElementById('plan-panel'));
+  }
+
   updateProgressText(text) {
     const progressElement = document.getElementById('progress-text');
     if (progressElement) {
@@ -271,7 +549,8 @@ class ChunkedSyncManager {
       btn.disabled = true;
     } else {
       const mode = new URLSearchParams(window.location.search).get('mode') || 'smart';
-      btn.textContent = mode === 'full' ? 'Start Full Sync' : 'Start Smart Sync';
+      const labels = { full: 'Start Full Sync', 'two-way': 'Start Two-Way Sync' };
+      btn.textContent = labels[mode] || 'Start Smart Sync';
       btn.disabled = false;
     }
   }
@@ -292,11 +571,20 @@ class ChunkedSyncManager {
 
   stopSync() {
     console.log('🛑 Stopping chunked sync');
+    
+    // Full sync runs on the server, so stopping means cancelling the job
+    if (this.jobId) {
+      const password = Utils.getParam('password');
+      Utils.api.post(`/api/jobs/${encodeURIComponent(this.jobId)}/cancel?password=${encodeURIComponent(password)}`)
+        .catch(error => console.warn('Failed to cancel job:', error));
+      this.clearJob();
+    }
+
     this.syncInProgress = false;
     this.updateSyncButton(false);
     this.hideStopButton();
     
-    const processed = this.totalCreated + this.totalUpdated + this.totalFailed + this.totalSkipped;
+    const processed = this.totalCreated + this.totalUpdated + this.totalFailed + this.totalSkipped + this.totalFiltered;
     this.updateProgressText(`Sync stopped at ${this.currentIndex}/${this.totalItems} (${processed} processed)`);
     
     this.cleanup();
@@ -329,7 +617,10 @@ class ChunkedSyncManager {
       totalCreated: this.totalCreated,
       totalUpdated: this.totalUpdated,
       totalFailed: this.totalFailed,
-      totalSkipped: this.totalSkipped
+      totalSkipped: this.totalSkipped,
+      totalFiltered: this.totalFiltered,
+      totalFollowUpsDone: this.totalFollowUpsDone,
+      totalFollowUpsFailed: this.totalFollowUpsFailed
     };
   }
 
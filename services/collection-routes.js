@@ -0,0 +1,147 @@
+// File: services/collection-routes.js
+'use strict';
+
+const DEFAULT_ROUTE_NAME = 'default';
+
+let cachedRoutes = null;
+
+/**
+ * Notion database IDs come with or without dashes; compare them without
+ */
+function normalizeDatabaseId(databaseId) {
+  return String(databaseId || '').replace(/-/g, '').toLowerCase();
+}
+
+/**
+ * Raindrop collection ID of an item, or null
+ */
+function getItemCollectionId(item) {
+  const collection = item.collection;
+  if (!collection) {
+    return null;
+  }
+  const collectionId = collection.$id !== undefined ? collection.$id : collection._id;
+  return collectionId === undefined || collectionId === null ? null : collectionId;
+}
+
+/**
+ * Routes from COLLECTION_ROUTES (JSON array of { name, collections, databaseId }), followed by
+ * the default route to NOTION_DB_ID. Collections are matched by ID or by title (case-insensitive).
+ */
+function getRoutes() {
+  if (cachedRoutes) {
+    return cachedRoutes;
+  }
+
+  let configured = [];
+  if (process.env.COLLECTION_ROUTES) {
+    try {
+      configured = JSON.parse(process.env.COLLECTION_ROUTES);
+    } catch (error) {
+      throw new Error(`COLLECTION_ROUTES is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(configured)) {
+      throw new Error('COLLECTION_ROUTES must be a JSON array of routes');
+    }
+  }
+
+  const routes = configured.map((route, index) => {
+    if (!route || !route.databaseId || !Array.isArray(route.collections) || route.collections.length === 0) {
+      throw new Error(`COLLECTION_ROUTES entry ${index} needs a databaseId and a non-empty collections array`);
+    }
+    return {
+      name: String(route.name || `route-${index + 1}`),
+      databaseId: route.databaseId,
+      collectionIds: route.collections.filter(value => typeof value === 'number' || /^-?\d+$/.test(value)).map(Number),
+      collectionTitles: route.collections.filter(value => typeof value === 'string' && !/^-?\d+$/.test(value)).map(title => title.trim().toLowerCase()),
+      isDefault: false
+    };
+  });
+
+  // Pages are assigned to routes by database, so each route needs a database of its own
+  const names = new Set([DEFAULT_ROUTE_NAME]);
+  const databases = new Set([normalizeDatabaseId(process.env.NOTION_DB_ID)]);
+  for (const route of routes) {
+    if (names.has(route.name)) {
+      throw new Error(`COLLECTION_ROUTES route name "${route.name}" is used more than once`);
+    }
+    if (databases.has(normalizeDatabaseId(route.databaseId))) {
+      throw new Error(`COLLECTION_ROUTES route "${route.name}" reuses a database; list its collections on a single route instead`);
+    }
+    names.add(route.name);
+    databases.add(normalizeDatabaseId(route.databaseId));
+  }
+
+  routes.push({
+    name: DEFAULT_ROUTE_NAME,
+    databaseId: process.env.NOTION_DB_ID,
+    collectionIds: [],
+    collectionTitles: [],
+    isDefault: true
+  });
+
+  cachedRoutes = routes;
+  return cachedRoutes;
+}
+
+/**
+ * Whether any route names a collection by title (so collection titles must be fetched)
+ */
+function routesNeedCollectionTitles() {
+  return getRoutes().some(route => route.collectionTitles.length > 0);
+}
+
+/**
+ * Whether any routes besides the default are configured
+ */
+function hasCollectionRoutes() {
+  return getRoutes().length > 1;
+}
+
+/**
+ * Route for a raindrop: the first route naming its collection, otherwise the default
+ */
+function getRouteForItem(item, collections = null) {
+  const routes = getRoutes();
+  const collectionId = getItemCollectionId(item);
+  const title = collectionId !== null && collections ? collections.get(collectionId) : null;
+  const normalizedTitle = title ? title.trim().toLowerCase() : null;
+
+  return routes.find(route => !route.isDefault && (
+    (collectionId !== null && route.collectionIds.includes(collectionId)) ||
+    (normalizedTitle && route.collectionTitles.includes(normalizedTitle))
+  )) || routes[routes.length - 1];
+}
+
+/**
+ * Route a Notion page belongs to, from the database it lives in (default when unknown)
+ */
+function getRouteForPage(page) {
+  const routes = getRoutes();
+  const databaseId = normalizeDatabaseId(page.parent && page.parent.database_id);
+  return routes.find(route => normalizeDatabaseId(route.databaseId) === databaseId) || routes[routes.length - 1];
+}
+
+/**
+ * Collection IDs a route covers, resolving titles through a collections map (ID -> title)
+ */
+function getRouteCollectionIds(route, collections = new Map()) {
+  const ids = new Set(route.collectionIds);
+  for (const [collectionId, title] of collections) {
+    if (title && route.collectionTitles.includes(title.trim().toLowerCase())) {
+      ids.add(collectionId);
+    }
+  }
+  return [...ids];
+}
+
+module.exports = {
+  DEFAULT_ROUTE_NAME,
+  normalizeDatabaseId,
+  getRoutes,
+  routesNeedCollectionTitles,
+  hasCollectionRoutes,
+  getRouteForItem,
+  getRouteForPage,
+  getRouteCollectionIds
+};
@@ -0,0 +1,215 @@
+// File: services/conflicts.js
+'use strict';
+
+const { createJsonStore } = require('./storage');
+const { isFieldMapped, readMappedField } = require('./property-mapping');
+const { canonicalizeUrl } = require('./url-canonicalizer');
+const { transformTags } = require('./tag-rules');
+
+const STORE_NAME = 'conflicts';
+
+const CONFLICT_POLICIES = ['raindrop', 'notion', 'merge-tags', 'review'];
+
+const CONFLICT_CONFIG = {
+  policy: CONFLICT_POLICIES.includes(process.env.CONFLICT_POLICY) ? process.env.CONFLICT_POLICY : 'review'
+};
+
+// raindropId -> flagged conflict record, loaded lazily from disk
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { conflicts: {} },
+  load: stored => new Map(Object.entries(stored.conflicts || {})),
+  serialize: conflicts => ({ conflicts: Object.fromEntries(conflicts) })
+});
+
+// Fields whose last synced values are remembered per link
+const TRACKED_FIELDS = ['title', 'link', 'tags'];
+
+/**
+ * Tracked fields that are mapped to a Notion property
+ */
+function getTrackedFields() {
+  return TRACKED_FIELDS.filter(field => isFieldMapped(field));
+}
+
+/**
+ * Normalize a tracked value so both sides compare the same way
+ */
+function normalizeValue(field, value) {
+  if (field === 'tags') {
+    const tags = Array.isArray(value) ? value : String(value || '').split(',');
+    return tags.map(tag => String(tag).trim()).filter(Boolean).sort();
+  }
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return field === 'link' ? canonicalizeUrl(String(value)) : String(value).trim();
+}
+
+function sameValue(field, a, b) {
+  return JSON.stringify(normalizeValue(field, a)) === JSON.stringify(normalizeValue(field, b));
+}
+
+/**
+ * Tracked values as they are in Raindrop (tags as the tag rules write them to Notion)
+ */
+function getRaindropValues(item) {
+  const values = {};
+  for (const field of getTrackedFields()) {
+    values[field] = normalizeValue(field, field === 'tags' ? transformTags(item.tags || []) : item[field]);
+  }
+  return values;
+}
+
+/**
+ * Tracked values as they are on the Notion page
+ */
+function getNotionValues(page) {
+  const values = {};
+  for (const field of getTrackedFields()) {
+    values[field] = normalizeValue(field, readMappedField(page, field));
+  }
+  return values;
+}
+
+/**
+ * Link details to store once both sides hold the item's values.
+ * Pass the page when Notion was not written, so its edit time is known.
+ */
+function buildSyncSnapshot(item, page = null) {
+  return {
+    synced: getRaindropValues(item),
+    raindropUpdatedAt: item.lastUpdate || null,
+    notionEditedAt: page ? page.last_edited_time : new Date().toISOString()
+  };
+}
+
+/**
+ * Detect whether both sides changed since the last sync and now disagree.
+ * Returns null without a snapshot, so links from before conflict tracking behave as before.
+ */
+function detectConflict(link, item, page) {
+  if (!link || !link.synced || link.pageId !== page.id) {
+    return null;
+  }
+
+  const raindropValues = getRaindropValues(item);
+  const notionValues = getNotionValues(page);
+  const fields = getTrackedFields().filter(field => field in link.synced);
+
+  const raindropUnchanged = item.lastUpdate && link.raindropUpdatedAt && Date.parse(item.lastUpdate) <= Date.parse(link.raindropUpdatedAt);
+  const notionUnchanged = link.notionEditedAt && Date.parse(page.last_edited_time) <= Date.parse(link.notionEditedAt);
+
+  const raindropFields = raindropUnchanged ? [] : fields.filter(field => !sameValue(field, raindropValues[field], link.synced[field]));
+  const notionFields = notionUnchanged ? [] : fields.filter(field => !sameValue(field, notionValues[field], link.synced[field]));
+  const disagreeing = fields.filter(field => !sameValue(field, raindropValues[field], notionValues[field]));
+
+  if (raindropFields.length === 0 || notionFields.length === 0 || disagreeing.length === 0) {
+    return null;
+  }
+
+  return {
+    fields: disagreeing,
+    raindropFields,
+    notionFields,
+    synced: link.synced,
+    raindrop: raindropValues,
+    notion: notionValues
+  };
+}
+
+/**
+ * Union of both sides' tags, Raindrop order first
+ */
+function mergeTags(raindropTags = [], notionTags = []) {
+  const merged = [...raindropTags];
+  const seen = new Set(raindropTags.map(tag => tag.toLowerCase()));
+  for (const tag of notionTags) {
+    if (!seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      merged.push(tag);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Flag a conflict for review (keeps the original detection time and any chosen resolution)
+ */
+function flagConflict(item, page, conflict) {
+  const conflicts = store.get();
+  const key = String(item._id);
+  const existing = conflicts.get(key);
+
+  conflicts.set(key, {
+    raindropId: item._id,
+    pageId: page.id,
+    title: item.title,
+    url: item.link,
+    ...conflict,
+    detectedAt: existing ? existing.detectedAt : new Date().toISOString(),
+    lastSeenAt: new Date().toISOString(),
+    resolution: existing ? existing.resolution : null
+  });
+  store.save();
+}
+
+/**
+ * Choose how a flagged conflict should be resolved on the next sync
+ */
+function setConflictResolution(raindropId, policy) {
+  if (!CONFLICT_POLICIES.includes(policy) || policy === 'review') {
+    throw new Error(`Invalid resolution "${policy}"`);
+  }
+
+  const conflicts = store.get();
+  const key = String(raindropId);
+  const existing = conflicts.get(key);
+  if (!existing) {
+    return null;
+  }
+
+  const updated = { ...existing, resolution: policy };
+  conflicts.set(key, updated);
+  store.save();
+  return updated;
+}
+
+/**
+ * Policy to apply to an item: a resolution chosen in review, else the configured policy
+ */
+function getConflictPolicy(raindropId) {
+  const conflicts = store.get();
+  const flagged = conflicts.get(String(raindropId));
+  return (flagged && flagged.resolution) || CONFLICT_CONFIG.policy;
+}
+
+/**
+ * Forget a flagged conflict (resolved, or the sides agree again)
+ */
+function clearConflict(raindropId) {
+  const conflicts = store.get();
+  if (conflicts.delete(String(raindropId))) {
+    store.save();
+  }
+}
+
+/**
+ * Flagged conflicts, oldest first
+ */
+function listConflicts() {
+  const conflicts = store.get();
+  return [...conflicts.values()].sort((a, b) => Date.parse(a.detectedAt) - Date.parse(b.detectedAt));
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  CONFLICT_CONFIG,
+  buildSyncSnapshot,
+  detectConflict,
+  mergeTags,
+  flagConflict,
+  setConflictResolution,
+  getConflictPolicy,
+  clearConflict,
+  listConflicts
+};
@@ -0,0 +1,118 @@
+// File: services/deletions.js
+'use strict';
+
+const { createJsonStore } = require('./storage');
+const { decodeProperty } = require('./property-mapping');
+
+const STORE_NAME = 'quarantine';
+
+// Deletion mirroring is opt-in per run; these only tune how it behaves
+const DELETION_CONFIG = {
+  graceDays: parseFloat(process.env.DELETION_GRACE_DAYS || '7'),      // Days a page stays marked before it is archived
+  maxPercent: parseFloat(process.env.DELETION_MAX_PERCENT || '10'),   // Refuse to run above this share of orphaned pages
+  statusProperty: process.env.NOTION_STATUS_PROPERTY || 'Sync Status',
+  removedStatus: 'Removed from Raindrop'
+};
+
+// Quarantined pages: pageId -> { raindropId, markedAt }, loaded lazily from disk
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { pages: {} },
+  load: stored => new Map(Object.entries(stored.pages || {})),
+  serialize: quarantine => ({ pages: Object.fromEntries(quarantine) })
+});
+
+/**
+ * Whether a page currently carries the "Removed from Raindrop" status
+ */
+function hasRemovedStatus(page) {
+  const status = decodeProperty(page.properties && page.properties[DELETION_CONFIG.statusProperty]);
+  return status === DELETION_CONFIG.removedStatus;
+}
+
+/**
+ * Notion property payload that sets or clears the removed status
+ */
+function buildStatusProperties(removed) {
+  return {
+    [DELETION_CONFIG.statusProperty]: {
+      select: removed ? { name: DELETION_CONFIG.removedStatus } : null
+    }
+  };
+}
+
+/**
+ * Work out which pages to mark, archive or restore.
+ * Only pages with a known raindrop ID are considered; the rest cannot be proven orphaned.
+ */
+function planDeletions(raindropIds, pages, getRaindropIdForPage, now = Date.now()) {
+  const quarantine = store.get();
+  const graceMs = DELETION_CONFIG.graceDays * 24 * 60 * 60 * 1000;
+
+  const plan = { toMark: [], toArchive: [], toRestore: [], waiting: 0, trackedPages: 0, orphanCount: 0, percent: 0, blocked: false, reason: null };
+
+  for (const page of pages) {
+    const raindropId = getRaindropIdForPage(page);
+    if (!raindropId) {
+      continue;
+    }
+
+    plan.trackedPages++;
+    const record = quarantine.get(page.id);
+    const marked = Boolean(record) || hasRemovedStatus(page);
+
+    if (raindropIds.has(raindropId)) {
+      if (marked) {
+        plan.toRestore.push({ page, raindropId });
+      }
+      continue;
+    }
+
+    plan.orphanCount++;
+
+    if (!marked) {
+      plan.toMark.push({ page, raindropId });
+    } else if (record && now - Date.parse(record.markedAt) >= graceMs) {
+      plan.toArchive.push({ page, raindropId });
+    } else if (!record) {
+      // Status survived but the quarantine file did not (e.g. fresh /tmp) - restart the grace period
+      plan.toMark.push({ page, raindropId, statusAlreadySet: true });
+    } else {
+      plan.waiting++;
+    }
+  }
+
+  plan.percent = plan.trackedPages > 0 ? Math.round((plan.orphanCount / plan.trackedPages) * 1000) / 10 : 0;
+
+  if (plan.percent > DELETION_CONFIG.maxPercent) {
+    plan.blocked = true;
+    plan.reason = `${plan.orphanCount} of ${plan.trackedPages} pages (${plan.percent}%) would be affected, above the ${DELETION_CONFIG.maxPercent}% safety threshold`;
+  }
+
+  return plan;
+}
+
+/**
+ * Record that a page was marked as removed
+ */
+function markQuarantined(pageId, raindropId) {
+  store.get().set(pageId, { raindropId, markedAt: new Date().toISOString() });
+  store.save();
+}
+
+/**
+ * Forget a quarantined page (restored or archived)
+ */
+function clearQuarantine(pageId) {
+  if (store.get().delete(pageId)) {
+    store.save();
+  }
+}
+
+module.exports = {
+  DELETION_CONFIG,
+  planDeletions,
+  buildStatusProperties,
+  hasRemovedStatus,
+  markQuarantined,
+  clearQuarantine
+};
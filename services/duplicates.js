@@ -0,0 +1,152 @@
+// File: services/duplicates.js
+'use strict';
+
+const { readMappedField } = require('./property-mapping');
+const { getLinkedRaindropId } = require('./link-store');
+const { canonicalizeUrl } = require('./url-canonicalizer');
+const { normalizeDatabaseId } = require('./collection-routes');
+
+/**
+ * Raindrop ID a page belongs to: the link store first, then the Raindrop ID property
+ */
+function getPageOwner(page) {
+  const linked = getLinkedRaindropId(page.id);
+  if (linked) {
+    return linked;
+  }
+  const raindropId = readMappedField(page, 'id');
+  return raindropId === null || raindropId === undefined || raindropId === '' ? null : String(raindropId);
+}
+
+/**
+ * Order pages by how good a canonical copy they make (best first):
+ * linked pages, then pages carrying a Raindrop ID, then the oldest
+ */
+function compareCanonical(a, b) {
+  const linkedDiff = Number(Boolean(getLinkedRaindropId(b.id))) - Number(Boolean(getLinkedRaindropId(a.id)));
+  if (linkedDiff !== 0) {
+    return linkedDiff;
+  }
+
+  const idDiff = Number(Boolean(readMappedField(b, 'id'))) - Number(Boolean(readMappedField(a, 'id')));
+  if (idDiff !== 0) {
+    return idDiff;
+  }
+
+  return (Date.parse(a.created_time) || 0) - (Date.parse(b.created_time) || 0);
+}
+
+/**
+ * Union of the tags on several pages, first seen spelling wins
+ */
+function mergePageTags(pages) {
+  const merged = [];
+  const seen = new Set();
+
+  for (const page of pages) {
+    const tags = readMappedField(page, 'tags');
+    for (const tag of Array.isArray(tags) ? tags : []) {
+      if (!seen.has(tag.toLowerCase())) {
+        seen.add(tag.toLowerCase());
+        merged.push(tag);
+      }
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Plain summary of a page for reports
+ */
+function summarizePage(page) {
+  return {
+    id: page.id,
+    title: readMappedField(page, 'title') || 'Untitled',
+    url: readMappedField(page, 'link') || null,
+    raindropId: getPageOwner(page),
+    tags: readMappedField(page, 'tags') || [],
+    createdTime: page.created_time || null,
+    lastEditedTime: page.last_edited_time || null,
+    notionUrl: page.url || null
+  };
+}
+
+/**
+ * Key for URL duplicates: the same URL in two routed databases is not a duplicate
+ */
+function getUrlKey(page, url) {
+  return `url:${normalizeDatabaseId(page.parent && page.parent.database_id)}:${canonicalizeUrl(url)}`;
+}
+
+/**
+ * Group pages that share a canonical URL within a database, or a Raindrop ID in any database
+ * (transitively). Only groups with more than one page are returned, largest first.
+ */
+function findDuplicateGroups(pages) {
+  const parent = pages.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const union = (a, b) => { parent[find(a)] = find(b); };
+
+  const firstByKey = new Map();
+  const reasonsByKey = new Map();
+
+  pages.forEach((page, index) => {
+    const url = readMappedField(page, 'link');
+    const raindropId = readMappedField(page, 'id');
+    const keys = [];
+    if (url) keys.push(['url', getUrlKey(page, url)]);
+    if (raindropId) keys.push(['raindropId', `id:${raindropId}`]);
+
+    for (const [reason, key] of keys) {
+      if (firstByKey.has(key)) {
+        union(index, firstByKey.get(key));
+        reasonsByKey.set(key, reason);
+      } else {
+        firstByKey.set(key, index);
+      }
+    }
+  });
+
+  const members = new Map();
+  pages.forEach((page, index) => {
+    const root = find(index);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(page);
+  });
+
+  const groups = [];
+  for (const groupPages of members.values()) {
+    if (groupPages.length < 2) {
+      continue;
+    }
+
+    const sorted = [...groupPages].sort(compareCanonical);
+    const owners = new Set(sorted.map(getPageOwner).filter(Boolean));
+    const reasons = new Set();
+    for (const page of sorted) {
+      const url = readMappedField(page, 'link');
+      const raindropId = readMappedField(page, 'id');
+      if (url && reasonsByKey.has(getUrlKey(page, url))) reasons.add('url');
+      if (raindropId && reasonsByKey.has(`id:${raindropId}`)) reasons.add('raindropId');
+    }
+
+    groups.push({
+      canonicalId: sorted[0].id,
+      reasons: [...reasons],
+      raindropIds: [...owners],
+      // Pages owned by different bookmarks are duplicated in Raindrop too and must be merged there
+      mergeable: owners.size <= 1,
+      pages: sorted.map(summarizePage)
+    });
+  }
+
+  return groups.sort((a, b) => b.pages.length - a.pages.length);
+}
+
+module.exports = {
+  compareCanonical,
+  findDuplicateGroups,
+  mergePageTags,
+  getPageOwner
+};
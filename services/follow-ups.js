@@ -0,0 +1,76 @@
+// File: services/follow-ups.js
+'use strict';
+
+const { createJsonStore } = require('./storage');
+
+const STORE_NAME = 'follow-ups';
+
+const FOLLOW_UP_CONFIG = {
+  maxAttempts: 3,    // Attempts before a task is given up
+  retryDelay: 2000   // Multiplied by the attempt number
+};
+
+// taskId -> task, loaded lazily from disk so tasks survive a frozen or crashed function
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { tasks: {} },
+  load: stored => new Map(Object.entries(stored.tasks || {})),
+  serialize: tasks => ({ tasks: Object.fromEntries(tasks) })
+});
+
+/**
+ * Queue a task ({ type, pageId, raindropId, title, payload }). A pending task of the same
+ * type for the same page is replaced, so only the latest data is written.
+ */
+function queueFollowUp(task) {
+  const tasks = store.get();
+  const id = `${task.type}:${task.pageId}`;
+  tasks.set(id, {
+    ...task,
+    id,
+    attempts: 0,
+    lastError: null,
+    queuedAt: new Date().toISOString()
+  });
+  store.save();
+}
+
+/**
+ * Pending tasks, oldest first
+ */
+function listFollowUps() {
+  const tasks = store.get();
+  return [...tasks.values()].sort((a, b) => Date.parse(a.queuedAt) - Date.parse(b.queuedAt));
+}
+
+/**
+ * Remove a task that finished (or was given up)
+ */
+function removeFollowUp(id) {
+  const tasks = store.get();
+  if (tasks.delete(id)) {
+    store.save();
+  }
+}
+
+/**
+ * Record a failed attempt and return the attempt count
+ */
+function recordFollowUpFailure(id, error) {
+  const tasks = store.get();
+  const task = tasks.get(id);
+  if (!task) {
+    return FOLLOW_UP_CONFIG.maxAttempts;
+  }
+  task.attempts += 1;
+  task.lastError = error;
+  store.save();
+  return task.attempts;
+}
+
+module.exports = {
+  FOLLOW_UP_CONFIG,
+  queueFollowUp,
+  listFollowUps,
+  removeFollowUp,
+  recordFollowUpFailure
+};
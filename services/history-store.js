@@ -0,0 +1,106 @@
+// File: services/history-store.js
+'use strict';
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./storage');
+
+const STORE_NAME = 'history';
+
+const HISTORY_CONFIG = {
+  maxRuns: 100,          // Oldest runs are dropped beyond this
+  maxItemsPerRun: 500    // Items touched are capped per run to keep the file small
+};
+
+// Recorded runs, newest first, loaded lazily from disk
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { runs: [] },
+  load: stored => stored.runs || [],
+  serialize: runs => ({ runs })
+});
+
+/**
+ * Start recording a run (kept in memory until it finishes)
+ */
+function startRun(mode, details = {}) {
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    mode,
+    ...details,
+    startedAt: new Date().toISOString(),
+    items: [],
+    itemsOmitted: 0
+  };
+}
+
+/**
+ * Record an item the run created, updated, failed on, etc.
+ */
+function addRunItem(run, entry) {
+  if (run.items.length >= HISTORY_CONFIG.maxItemsPerRun) {
+    run.itemsOmitted++;
+    return;
+  }
+  run.items.push({ ...entry, at: new Date().toISOString() });
+}
+
+/**
+ * Normalize the different count shapes the sync modes report
+ */
+function normalizeCounts(counts = {}) {
+  return {
+    ...counts,
+    created: counts.created !== undefined ? counts.created : (counts.added || 0),
+    updated: counts.updated || 0,
+    failed: counts.failed || 0,
+    skipped: counts.skipped || 0
+  };
+}
+
+/**
+ * Finish a run and persist it to the history
+ */
+function finishRun(run, { counts, error = null, status = null } = {}) {
+  const finishedAt = new Date();
+  const normalized = normalizeCounts(counts);
+  delete normalized.added;
+
+  const finished = {
+    ...run,
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt.getTime() - Date.parse(run.startedAt),
+    status: status || (error ? 'failed' : 'completed'),
+    error: error ? (error.message || String(error)) : null,
+    counts: normalized
+  };
+
+  const runs = store.get();
+  runs.unshift(finished);
+  runs.splice(HISTORY_CONFIG.maxRuns);
+  store.save();
+
+  console.log(`🗂️ Recorded ${finished.mode} run ${finished.id} (${finished.status}, ${finished.items.length} items)`);
+  return finished;
+}
+
+/**
+ * List recorded runs, newest first
+ */
+function listRuns(limit = HISTORY_CONFIG.maxRuns) {
+  return store.get().slice(0, limit);
+}
+
+/**
+ * Get a recorded run by ID
+ */
+function getRun(runId) {
+  return store.get().find(run => run.id === runId) || null;
+}
+
+module.exports = {
+  HISTORY_CONFIG,
+  startRun,
+  addRunItem,
+  finishRun,
+  listRuns,
+  getRun
+};
@@ -0,0 +1,317 @@
+// File: services/http-client.js
+'use strict';
+
+const fetch = require('node-fetch');
+
+const HTTP_CLIENT_CONFIG = {
+  maxRetries: 5,            // Max retry attempts
+  backoffBaseDelay: 1000,   // First retry waits around this long, doubling after
+  maxBackoffDelay: 30000,   // Max 30 seconds between retries
+  requestTimeout: 60000,    // 60 second timeout per request
+  latencySamples: 200       // Recent latencies kept per provider for percentiles
+};
+
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'];
+
+// Errors raised before the request reached the server, so even a write that isn't idempotent can be sent again
+const UNSENT_NETWORK_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// provider -> { bucket, stats }, one per API so every caller shares its budget
+const providers = new Map();
+
+/**
+ * Sleep utility for delays
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Exponential backoff with jitter, so retries from parallel callers don't line up
+ */
+function calculateBackoffDelay(attempt) {
+  const delay = Math.min(
+    HTTP_CLIENT_CONFIG.backoffBaseDelay * Math.pow(2, attempt),
+    HTTP_CLIENT_CONFIG.maxBackoffDelay
+  );
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (delay in seconds or an HTTP date), or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Time a rate limit window resets, from x-ratelimit-reset (epoch seconds or seconds from now), or null
+ */
+function parseRateLimitReset(value, now = Date.now()) {
+  const seconds = parseFloat(value);
+  if (!Number.isFinite(seconds)) {
+    return null;
+  }
+  // Anything this large is a Unix timestamp rather than a delay
+  return seconds > 1e9 ? seconds * 1000 : now + seconds * 1000;
+}
+
+/**
+ * Shared state for a provider: a token bucket refilled at requestsPerSecond, plus stats
+ */
+function getProvider(config) {
+  if (!providers.has(config.name)) {
+    providers.set(config.name, {
+      config,
+      bucket: {
+        tokens: config.burst,
+        rate: config.requestsPerSecond,
+        refilledAt: Date.now(),
+        pausedUntil: 0,
+        queue: Promise.resolve()
+      },
+      stats: {
+        requests: 0,
+        retries: 0,
+        rateLimited: 0,
+        errors: 0,
+        throttledMs: 0,
+        latencies: [],
+        totalLatencyMs: 0,
+        maxLatencyMs: 0,
+        rateLimit: null
+      }
+    });
+  }
+  return providers.get(config.name);
+}
+
+/**
+ * Wait for a token. Callers queue in order, so concurrent requests are spread out instead of bursting.
+ */
+function acquireToken(provider) {
+  const { bucket, stats, config } = provider;
+
+  const turn = bucket.queue.then(async () => {
+    for (;;) {
+      const now = Date.now();
+      bucket.tokens = Math.min(config.burst, bucket.tokens + (now - bucket.refilledAt) / 1000 * bucket.rate);
+      bucket.refilledAt = now;
+
+      const wait = bucket.pausedUntil > now
+        ? bucket.pausedUntil - now
+        : bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / bucket.rate * 1000);
+
+      if (wait === 0) {
+        bucket.tokens -= 1;
+        return;
+      }
+
+      stats.throttledMs += wait;
+      await sleep(wait);
+    }
+  });
+
+  bucket.queue = turn.catch(() => {});
+  return turn;
+}
+
+/**
+ * Slow the bucket down (or pause it) from the rate limit headers on a response
+ */
+function adaptToRateLimitHeaders(provider, headers) {
+  const { bucket, stats, config } = provider;
+  const remaining = parseInt(headers.get('x-ratelimit-remaining'), 10);
+  const resetAt = parseRateLimitReset(headers.get('x-ratelimit-reset'));
+
+  if (Number.isNaN(remaining)) {
+    return;
+  }
+
+  const now = Date.now();
+  const limit = parseInt(headers.get('x-ratelimit-limit'), 10);
+  stats.rateLimit = {
+    limit: Number.isNaN(limit) ? null : limit,
+    remaining,
+    resetAt: resetAt ? new Date(resetAt).toISOString() : null
+  };
+
+  if (remaining <= 0 && resetAt && resetAt > now) {
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, resetAt);
+    bucket.tokens = 0;
+    console.log(`⏸️ ${config.label} rate limit used up, pausing until ${new Date(resetAt).toISOString()}`);
+    return;
+  }
+
+  // Spread what is left of the window evenly, never faster than the configured rate
+  const secondsLeft = resetAt ? Math.max(1, (resetAt - now) / 1000) : null;
+  bucket.rate = secondsLeft
+    ? Math.max(config.minRequestsPerSecond, Math.min(config.requestsPerSecond, remaining / secondsLeft))
+    : config.requestsPerSecond;
+  bucket.tokens = Math.min(bucket.tokens, remaining);
+}
+
+/**
+ * Pause every caller of a provider, e.g. for a Retry-After
+ */
+function pauseProvider(provider, ms) {
+  provider.bucket.pausedUntil = Math.max(provider.bucket.pausedUntil, Date.now() + ms);
+}
+
+/**
+ * Remember how long a request took
+ */
+function recordLatency(stats, ms) {
+  stats.totalLatencyMs += ms;
+  stats.maxLatencyMs = Math.max(stats.maxLatencyMs, ms);
+  stats.latencies.push(ms);
+  if (stats.latencies.length > HTTP_CLIENT_CONFIG.latencySamples) {
+    stats.latencies.shift();
+  }
+}
+
+/**
+ * Whether a thrown fetch error is a network problem worth retrying. A request that isn't idempotent
+ * may already have been carried out, so it is only retried when it never reached the server.
+ */
+function isRetryableNetworkError(error, idempotent) {
+  if (!idempotent) {
+    return UNSENT_NETWORK_CODES.includes(error.code);
+  }
+  return RETRYABLE_NETWORK_CODES.includes(error.code) || error.type === 'request-timeout';
+}
+
+/**
+ * Create a JSON API client for one provider.
+ * config: { name, label, requestsPerSecond, minRequestsPerSecond, burst, getHeaders() }
+ * Returns request(url, options), which resolves to the parsed JSON body or throws
+ * `${label} API error (status): message` once retries are used up.
+ * POSTs count as not idempotent (pass idempotent: true for read-only ones, false for other writes that
+ * add something): they are retried after a 429 or when they never reached the server, never after a 5xx.
+ */
+function createHttpClient(config) {
+  const provider = getProvider(config);
+  const { stats } = provider;
+  const maxRetries = HTTP_CLIENT_CONFIG.maxRetries;
+
+  return async function request(url, { idempotent, ...options } = {}) {
+    const canRepeat = idempotent ?? (options.method || 'GET').toUpperCase() !== 'POST';
+
+    for (let attempt = 0; ; attempt++) {
+      await acquireToken(provider);
+
+      const startedAt = Date.now();
+      let response;
+      try {
+        stats.requests++;
+        response = await fetch(url, {
+          timeout: HTTP_CLIENT_CONFIG.requestTimeout,
+          ...options,
+          headers: {
+            ...config.getHeaders(),
+            'Content-Type': 'application/json',
+            ...options.headers
+          }
+        });
+      } catch (error) {
+        recordLatency(stats, Date.now() - startedAt);
+        if (isRetryableNetworkError(error, canRepeat) && attempt < maxRetries) {
+          const delay = calculateBackoffDelay(attempt);
+          stats.retries++;
+          console.log(`🌐 ${config.label} network error, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
+          await sleep(delay);
+          continue;
+        }
+        stats.errors++;
+        console.error(`❌ ${config.label} API call failed:`, error.message);
+        throw error;
+      }
+
+      recordLatency(stats, Date.now() - startedAt);
+      adaptToRateLimitHeaders(provider, response.headers);
+
+      if (response.status === 429) {
+        stats.rateLimited++;
+        const waitTime = parseRetryAfter(response.headers.get('retry-after')) ?? calculateBackoffDelay(attempt);
+
+        if (attempt >= maxRetries) {
+          stats.errors++;
+          throw new Error(`${config.label} rate limited after ${maxRetries} retries`);
+        }
+
+        console.log(`⏰ ${config.label} rate limited. Waiting ${waitTime}ms before retry...`);
+        pauseProvider(provider, waitTime);
+        stats.retries++;
+        continue;
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `HTTP ${response.status}: ${response.statusText}` }));
+
+        if (canRepeat && RETRYABLE_STATUSES.includes(response.status) && attempt < maxRetries) {
+          const delay = calculateBackoffDelay(attempt);
+          stats.retries++;
+          console.log(`🔄 ${config.label} retryable error ${response.status}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
+          await sleep(delay);
+          continue;
+        }
+
+        stats.errors++;
+        const error = new Error(`${config.label} API error (${response.status}): ${errorData.message || response.statusText}`);
+        console.error(`❌ ${config.label} API call failed:`, error.message);
+        throw error;
+      }
+
+      return response.json();
+    }
+  };
+}
+
+/**
+ * Request and latency stats per provider since the process started
+ */
+function getHttpStats() {
+  const result = {};
+
+  for (const [name, { stats, bucket }] of providers) {
+    const sorted = [...stats.latencies].sort((a, b) => a - b);
+    const percentile = p => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : null;
+
+    result[name] = {
+      requests: stats.requests,
+      retries: stats.retries,
+      rateLimited: stats.rateLimited,
+      errors: stats.errors,
+      throttledMs: stats.throttledMs,
+      latencyMs: {
+        average: stats.requests ? Math.round(stats.totalLatencyMs / stats.requests) : null,
+        p50: percentile(0.5),
+        p95: percentile(0.95),
+        max: stats.maxLatencyMs || null
+      },
+      requestsPerSecond: Math.round(bucket.rate * 100) / 100,
+      pausedUntil: bucket.pausedUntil > Date.now() ? new Date(bucket.pausedUntil).toISOString() : null,
+      rateLimit: stats.rateLimit
+    };
+  }
+
+  return result;
+}
+
+module.exports = {
+  HTTP_CLIENT_CONFIG,
+  parseRetryAfter,
+  createHttpClient,
+  getHttpStats
+};
@@ -0,0 +1,118 @@
+// File: services/image-check.js
+'use strict';
+
+const fetch = require('node-fetch');
+const { createJsonStore } = require('./storage');
+
+const STORE_NAME = 'image-checks';
+
+const IMAGE_CHECK_CONFIG = {
+  timeout: 5000,                    // Per request
+  maxCacheSize: 2000,               // Remembered URLs, oldest dropped first
+  ttlMs: 7 * 24 * 60 * 60 * 1000    // A URL is checked again after a week
+};
+
+// url -> Promise<boolean>, so concurrent checks of the same URL share one request
+const checked = new Map();
+
+// url -> { image, checkedAt } of finished checks, kept across restarts; failed checks are not kept
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { urls: {} },
+  load: stored => new Map(Object.entries(stored.urls || {})),
+  serialize: results => ({ urls: Object.fromEntries(results) })
+});
+
+/**
+ * Content type a URL is served with, from a HEAD request (or a one-byte GET when HEAD is refused)
+ */
+async function fetchContentType(url) {
+  const options = { redirect: 'follow', timeout: IMAGE_CHECK_CONFIG.timeout };
+
+  let response = await fetch(url, { ...options, method: 'HEAD' });
+  if (!response.ok) {
+    response = await fetch(url, { ...options, method: 'GET', headers: { Range: 'bytes=0-0' } });
+    if (response.body && typeof response.body.destroy === 'function') {
+      response.body.destroy();
+    }
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  return (response.headers.get('content-type') || '').toLowerCase();
+}
+
+/**
+ * Result of the last check of a URL while it is fresh: true, false, or null when unknown
+ */
+function getKnownImageCheck(url) {
+  const result = store.get().get(url);
+  if (!result || Date.now() - Date.parse(result.checkedAt) > IMAGE_CHECK_CONFIG.ttlMs) {
+    return null;
+  }
+  return result.image;
+}
+
+/**
+ * Remember the result of a check
+ */
+function rememberImageCheck(url, image) {
+  const results = store.get();
+  results.delete(url);
+  if (results.size >= IMAGE_CHECK_CONFIG.maxCacheSize) {
+    results.delete(results.keys().next().value);
+  }
+  results.set(url, { image, checkedAt: new Date().toISOString() });
+  store.save();
+}
+
+/**
+ * Whether a URL really serves an image (http/https and an image/* content type).
+ * Results are remembered per URL, so each image is requested at most once a week.
+ */
+async function isImageUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return false;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return false;
+  }
+
+  const known = getKnownImageCheck(url);
+  if (known !== null) {
+    return known;
+  }
+
+  if (!checked.has(url)) {
+    checked.set(url, fetchContentType(url)
+      .then(contentType => {
+        const isImage = contentType.startsWith('image/');
+        if (!isImage) {
+          console.log(`⚠️ Not an image (${contentType || 'no content type'}): ${url}`);
+        }
+        rememberImageCheck(url, isImage);
+        return isImage;
+      })
+      .catch(error => {
+        console.log(`⚠️ Could not check image ${url}: ${error.message}`);
+        return false;
+      })
+      .finally(() => checked.delete(url)));
+  }
+
+  return checked.get(url);
+}
+
+module.exports = {
+  IMAGE_CHECK_CONFIG,
+  getKnownImageCheck,
+  isImageUrl
+};
@@ -0,0 +1,99 @@
+// File: services/item-validation.js
+'use strict';
+
+// Notion rejects values over these limits with a 400 for the whole page
+const VALIDATION_LIMITS = {
+  titleLength: 2000,
+  urlLength: 2000
+};
+
+const ALLOWED_URL_PROTOCOLS = ['http:', 'https:'];
+
+// Control characters Notion can't store (tab, newline and carriage return are kept)
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+/**
+ * Text without control characters, or the value unchanged when it isn't a string
+ */
+function stripControlCharacters(value) {
+  return typeof value === 'string' ? value.replace(CONTROL_CHARACTERS, '') : value;
+}
+
+/**
+ * Why a link can't be written to a Notion URL property, or null
+ */
+function getLinkProblem(link) {
+  if (!link) {
+    return { reason: 'missing link', detail: null };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(link);
+  } catch {
+    return { reason: 'invalid URL', detail: link.slice(0, 100) };
+  }
+
+  if (!ALLOWED_URL_PROTOCOLS.includes(parsed.protocol)) {
+    return { reason: 'unsupported URL scheme', detail: parsed.protocol };
+  }
+
+  if (link.length > VALIDATION_LIMITS.urlLength) {
+    return { reason: 'URL too long', detail: `${link.length} characters, limit ${VALIDATION_LIMITS.urlLength}` };
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a raindrop for Notion and check it can be written.
+ * Returns { item, fixes, error }: item is a normalized copy, fixes lists what was changed,
+ * error is { reason, detail, message } when the item can't be written, otherwise null.
+ */
+function validateItem(item) {
+  const normalized = { ...item };
+  const fixes = [];
+
+  const title = typeof item.title === 'string' ? stripControlCharacters(item.title).trim() : '';
+  if (title.length > VALIDATION_LIMITS.titleLength) {
+    normalized.title = `${title.slice(0, VALIDATION_LIMITS.titleLength - 1)}…`;
+    fixes.push(`title truncated from ${title.length} characters`);
+  } else if (title) {
+    normalized.title = title;
+  } else {
+    // Never fall back to the raw title: it may be nothing but control characters
+    normalized.title = 'Untitled';
+    if (typeof item.title === 'string' && item.title.trim()) {
+      fixes.push('title had only control characters');
+    }
+  }
+
+  for (const field of ['excerpt', 'note']) {
+    const cleaned = stripControlCharacters(item[field]);
+    if (cleaned !== item[field]) {
+      normalized[field] = cleaned;
+      fixes.push(`control characters removed from ${field}`);
+    }
+  }
+
+  for (const field of ['created', 'lastUpdate']) {
+    if (item[field] && Number.isNaN(Date.parse(item[field]))) {
+      normalized[field] = null;
+      fixes.push(`invalid ${field} date dropped`);
+    }
+  }
+
+  normalized.link = typeof item.link === 'string' ? item.link.trim() : '';
+  const problem = getLinkProblem(normalized.link);
+  const error = problem
+    ? { ...problem, message: problem.detail ? `${problem.reason} (${problem.detail})` : problem.reason }
+    : null;
+
+  return { item: normalized, fixes, error };
+}
+
+module.exports = {
+  VALIDATION_LIMITS,
+  ALLOWED_URL_PROTOCOLS,
+  validateItem
+};
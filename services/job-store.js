@@ -0,0 +1,104 @@
+// File: services/job-store.js
+'use strict';
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./storage');
+
+const STORE_NAME = 'jobs';
+
+const JOB_CONFIG = {
+  staleAfterMs: 3 * 60 * 1000,   // A running job without a checkpoint for this long is considered dead
+  heartbeatMs: 30 * 1000,        // Heartbeat interval while a job is busy between checkpoints (e.g. prefetching)
+  maxJobs: 20                    // Only the most recent jobs are kept
+};
+
+// Stored jobs, newest first, loaded lazily from disk. Checkpoints are batched like every store's writes.
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { jobs: [] },
+  load: stored => stored.jobs || [],
+  serialize: jobs => ({ jobs: jobs.slice(0, JOB_CONFIG.maxJobs) })
+});
+
+/**
+ * Create a new sync job starting at cursor 0
+ */
+function createJob(mode, options = {}, chunkSize = 25) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    mode,
+    options,
+    chunkSize,
+    status: 'running',
+    cursor: 0,
+    total: null,
+    counts: { created: 0, updated: 0, failed: 0, skipped: 0, filtered: 0, followUpsDone: 0, followUpsFailed: 0 },
+    resumeCount: 0,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    heartbeatAt: now,
+    finishedAt: null
+  };
+
+  const jobs = store.get();
+  jobs.unshift(job);
+  jobs.splice(JOB_CONFIG.maxJobs);
+  store.save();
+  console.log(`🧾 Created ${mode} job ${job.id}`);
+  return job;
+}
+
+/**
+ * Get a job by ID, or null if it does not exist
+ */
+function getJob(jobId) {
+  return store.get().find(job => job.id === jobId) || null;
+}
+
+/**
+ * Apply changes to a job and persist it (also refreshes its heartbeat)
+ */
+function updateJob(jobId, changes) {
+  const jobs = store.get();
+  const index = jobs.findIndex(job => job.id === jobId);
+  if (index === -1) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  jobs[index] = { ...jobs[index], ...changes, updatedAt: now, heartbeatAt: now };
+  store.save();
+  return jobs[index];
+}
+
+/**
+ * List recent jobs, newest first
+ */
+function listJobs() {
+  return [...store.get()];
+}
+
+/**
+ * Most recent job of a mode that has not finished yet
+ */
+function findUnfinishedJob(mode) {
+  return store.get().find(job => job.mode === mode && job.status === 'running') || null;
+}
+
+/**
+ * Whether a running job has stopped checkpointing (its process died)
+ */
+function isJobStale(job, now = Date.now()) {
+  return job.status === 'running' && now - Date.parse(job.heartbeatAt) > JOB_CONFIG.staleAfterMs;
+}
+
+module.exports = {
+  JOB_CONFIG,
+  createJob,
+  getJob,
+  updateJob,
+  listJobs,
+  findUnfinishedJob,
+  isJobStale
+};
@@ -0,0 +1,111 @@
+// File: services/link-store.js
+'use strict';
+
+const { createJsonStore } = require('./storage');
+
+const STORE_NAME = 'links';
+
+// links: raindropId -> { pageId, linkedAt, syncedAt }; pageIndex: pageId -> raindropId
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { links: {} },
+  load(stored) {
+    const links = new Map();
+    const pageIndex = new Map();
+    for (const [raindropId, link] of Object.entries(stored.links || {})) {
+      links.set(String(raindropId), link);
+      pageIndex.set(link.pageId, String(raindropId));
+    }
+
+    console.log(`🔗 Link store loaded: ${links.size} linked bookmarks`);
+    return { links, pageIndex };
+  },
+  serialize: ({ links }) => ({ links: Object.fromEntries(links) })
+});
+
+/**
+ * Get the Notion page ID a raindrop was synced to, if any
+ */
+function getLinkedPageId(raindropId) {
+  const link = store.get().links.get(String(raindropId));
+  return link ? link.pageId : null;
+}
+
+/**
+ * Get the raindrop ID a Notion page is linked to, if any
+ */
+function getLinkedRaindropId(pageId) {
+  return store.get().pageIndex.get(pageId) || null;
+}
+
+/**
+ * Get the full link record for a raindrop, if any
+ */
+function getLink(raindropId) {
+  return store.get().links.get(String(raindropId)) || null;
+}
+
+/**
+ * Record that a raindrop and a Notion page are in sync as of now.
+ * A snapshot ({ synced, raindropUpdatedAt, notionEditedAt }) replaces the stored one when given.
+ */
+function linkRaindrop(raindropId, pageId, snapshot = null) {
+  if (raindropId === undefined || raindropId === null || !pageId) {
+    return;
+  }
+
+  const { links, pageIndex } = store.get();
+  const key = String(raindropId);
+  const existing = links.get(key);
+  const now = new Date().toISOString();
+
+  if (existing && existing.pageId !== pageId) {
+    pageIndex.delete(existing.pageId);
+  }
+
+  // A page can only belong to one raindrop
+  const previousOwner = pageIndex.get(pageId);
+  if (previousOwner && previousOwner !== key) {
+    links.delete(previousOwner);
+  }
+
+  const samePage = existing && existing.pageId === pageId;
+  const linkedAt = samePage ? existing.linkedAt : now;
+  // A snapshot taken against another page says nothing about this one
+  const previous = samePage ? existing : {};
+  links.set(key, { ...previous, ...snapshot, pageId, linkedAt, syncedAt: now });
+  pageIndex.set(pageId, key);
+  store.save();
+}
+
+/**
+ * Forget the link for a raindrop (e.g. its Notion page no longer exists)
+ */
+function unlinkRaindrop(raindropId) {
+  const { links, pageIndex } = store.get();
+  const key = String(raindropId);
+  const existing = links.get(key);
+
+  if (!existing) {
+    return;
+  }
+
+  links.delete(key);
+  pageIndex.delete(existing.pageId);
+  store.save();
+}
+
+/**
+ * Number of linked bookmarks
+ */
+function getLinkCount() {
+  return store.get().links.size;
+}
+
+module.exports = {
+  getLink,
+  getLinkedPageId,
+  getLinkedRaindropId,
+  linkRaindrop,
+  unlinkRaindrop,
+  getLinkCount
+};
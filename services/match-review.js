@@ -0,0 +1,116 @@
+// File: services/match-review.js
+'use strict';
+
+const { createJsonStore } = require('./storage');
+
+const STORE_NAME = 'match-review';
+
+// Confidence of each way a bookmark can be matched to an existing page
+const MATCH_CONFIDENCE = {
+  id: 1,           // Link store or Raindrop ID property
+  url: 0.9,        // Same canonical URL
+  'fuzzy-url': 0.6, // Same host and path, different query
+  title: 0.3       // Same title only
+};
+
+const MATCH_CONFIG = {
+  // Matches below this are queued for review instead of being written
+  minConfidence: parseFloat(process.env.MATCH_MIN_CONFIDENCE || '0.8')
+};
+
+// { pending: raindropId -> entry, rejected: raindropId -> [pageId] }, loaded lazily from disk
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { pending: {}, rejected: {} },
+  load: stored => ({
+    pending: new Map(Object.entries(stored.pending || {})),
+    rejected: new Map(Object.entries(stored.rejected || {}))
+  }),
+  serialize: ({ pending, rejected }) => ({
+    pending: Object.fromEntries(pending),
+    rejected: Object.fromEntries(rejected)
+  })
+});
+
+/**
+ * Queue a low-confidence match for review (refreshes an existing entry)
+ */
+function queueMatch(item, match, pageSummary) {
+  const { pending } = store.get();
+  const key = String(item._id);
+  const existing = pending.get(key);
+
+  pending.set(key, {
+    raindropId: item._id,
+    title: item.title,
+    url: item.link,
+    pageId: match.page.id,
+    pageTitle: pageSummary.title,
+    pageUrl: pageSummary.url,
+    method: match.method,
+    confidence: match.confidence,
+    decision: null,
+    queuedAt: existing && existing.pageId === match.page.id ? existing.queuedAt : new Date().toISOString(),
+    lastSeenAt: new Date().toISOString()
+  });
+  store.save();
+}
+
+/**
+ * Pending matches, oldest first
+ */
+function listPendingMatches() {
+  const { pending } = store.get();
+  return [...pending.values()].sort((a, b) => Date.parse(a.queuedAt) - Date.parse(b.queuedAt));
+}
+
+/**
+ * Record a decision on a pending match ('accept' or 'reject'); it is applied on the next sync.
+ * A rejected page is remembered so it is never proposed for that raindrop again.
+ */
+function decideMatch(raindropId, decision) {
+  const { pending, rejected } = store.get();
+  const key = String(raindropId);
+  const entry = pending.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  if (decision === 'reject') {
+    const rejectedPages = new Set(rejected.get(key) || []);
+    rejectedPages.add(entry.pageId);
+    rejected.set(key, [...rejectedPages]);
+  }
+
+  entry.decision = decision;
+  entry.decidedAt = new Date().toISOString();
+  store.save();
+  return entry;
+}
+
+/**
+ * Whether a page was rejected as the match for a raindrop
+ */
+function isMatchRejected(raindropId, pageId) {
+  const rejectedPages = store.get().rejected.get(String(raindropId));
+  return Boolean(rejectedPages && rejectedPages.includes(pageId));
+}
+
+/**
+ * Drop the pending entry once the item has been synced
+ */
+function clearPendingMatch(raindropId) {
+  const { pending } = store.get();
+  if (pending.delete(String(raindropId))) {
+    store.save();
+  }
+}
+
+module.exports = {
+  MATCH_CONFIDENCE,
+  MATCH_CONFIG,
+  queueMatch,
+  listPendingMatches,
+  decideMatch,
+  isMatchRejected,
+  clearPendingMatch
+};
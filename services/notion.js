@@ -1,134 +1,99 @@
 // File: services/notion.js
 'use strict';
 
-const fetch = require('node-fetch');
+const { createHttpClient } = require('./http-client');
+const { getPropertyMap, decodeProperty, buildNotionProperties } = require('./property-mapping');
+const { canonicalizeUrl } = require('./url-canonicalizer');
+const { getKnownImageCheck, isImageUrl } = require('./image-check');
+const { recordTagRewrites } = require('./tag-rules');
+const { buildSections, buildSectionHeading, buildSectionEnd, isSectionHeading, getBlockSignature, hashSection, findSection, getChangedSections, getSectionRecord, getSectionHash, setSectionRecord } = require('./page-content');
+const { queueFollowUp } = require('./follow-ups');
+const { needsFullRecount, getRefreshCutoff, setPages, addEditedPages, recordPageCreated, recordPageArchived } = require('./page-count');
 
 const NOTION_API_URL = 'https://api.notion.com/v1';
 const NOTION_VERSION = '2022-06-28';
 
-// Conservative rate limiting for large datasets
 const RATE_LIMIT_CONFIG = {
-  baseDelay: 800,           // 800ms between requests (conservative)
-  maxRetries: 5,            // Max retry attempts
-  backoffMultiplier: 2,     // Exponential backoff
-  maxBackoffDelay: 30000,   // Max 30 seconds between retries
-  pageSize: 50,             // Smaller page size for stability
-  batchTimeout: 60000       // 60 second timeout per batch
+  pageSize: 50              // Smaller page size for stability
 };
 
-/**
- * Sleep utility for delays
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Where the bookmark's image goes: 'block' (an image block in the page body) or 'cover' (page cover + favicon icon)
+const IMAGE_CONFIG = {
+  mode: process.env.NOTION_IMAGE_MODE === 'cover' ? 'cover' : 'block'
+};
+
+// Notion allows an average of three requests a second per integration
+const makeNotionAPICall = createHttpClient({
+  name: 'notion',
+  label: 'Notion',
+  requestsPerSecond: 3,
+  minRequestsPerSecond: 0.2,
+  burst: 3,
+  getHeaders: () => ({
+    'Authorization': `Bearer ${process.env.NOTION_TOKEN}`,
+    'Notion-Version': NOTION_VERSION
+  })
+});
 
 /**
- * Calculate exponential backoff delay
+ * Helper function to normalize titles for comparison
  */
-function calculateBackoffDelay(attempt) {
-  const delay = RATE_LIMIT_CONFIG.baseDelay * Math.pow(RATE_LIMIT_CONFIG.backoffMultiplier, attempt);
-  return Math.min(delay, RATE_LIMIT_CONFIG.maxBackoffDelay);
+function normalizeTitle(title) {
+  return (title || '').trim().toLowerCase();
 }
 
 /**
- * Robust API call with retry logic and rate limiting
+ * Compare two decoded property values of the same Notion type
  */
-async function makeNotionAPICall(url, options = {}, attempt = 0) {
-  const maxRetries = RATE_LIMIT_CONFIG.maxRetries;
-  
-  try {
-    // Add conservative delay before each request (except first attempt)
-    if (attempt > 0) {
-      const backoffDelay = calculateBackoffDelay(attempt - 1);
-      console.log(`⏳ Backing off for ${backoffDelay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
-      await sleep(backoffDelay);
-    } else {
-      // Even first requests get a base delay for politeness
-      await sleep(RATE_LIMIT_CONFIG.baseDelay);
-    }
-    
-    const response = await fetch(url, {
-      timeout: RATE_LIMIT_CONFIG.batchTimeout,
-      ...options,
-      headers: {
-        'Authorization': `Bearer ${process.env.NOTION_TOKEN}`,
-        'Notion-Version': NOTION_VERSION,
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
-    });
-    
-    // Handle rate limiting with exponential backoff
-    if (response.status === 429) {
-      const retryAfter = response.headers.get('retry-after');
-      const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : calculateBackoffDelay(attempt);
-      
-      console.log(`⏰ Rate limited. Waiting ${waitTime}ms before retry...`);
-      await sleep(waitTime);
-      
-      if (attempt < maxRetries) {
-        return makeNotionAPICall(url, options, attempt + 1);
-      } else {
-        throw new Error(`Rate limited after ${maxRetries} retries`);
+function propertyValuesMatch(type, current, desired) {
+  switch (type) {
+    case 'title':
+      return normalizeTitle(current) === normalizeTitle(desired);
+    case 'url':
+      return (current ? canonicalizeUrl(current) : null) === (desired ? canonicalizeUrl(desired) : null);
+    case 'rich_text':
+    case 'select':
+      return (current || '').trim() === (desired || '').trim();
+    case 'multi_select': {
+      const currentSet = new Set(current || []);
+      const desiredSet = new Set(desired || []);
+      if (currentSet.size !== desiredSet.size) return false;
+      for (const name of desiredSet) {
+        if (!currentSet.has(name)) return false;
       }
+      return true;
     }
-    
-    // Handle other HTTP errors
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ message: 'Unknown error' }));
-      
-      // Some errors are worth retrying (5xx, timeouts)
-      const retryableStatuses = [500, 502, 503, 504];
-      if (retryableStatuses.includes(response.status) && attempt < maxRetries) {
-        console.log(`🔄 Retryable error ${response.status}, attempt ${attempt + 1}/${maxRetries + 1}`);
-        return makeNotionAPICall(url, options, attempt + 1);
-      }
-      
-      throw new Error(`Notion API error (${response.status}): ${errorData.message || response.statusText}`);
-    }
-    
-    return await response.json();
-    
-  } catch (error) {
-    // Handle network errors with retry
-    if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT' || error.type === 'request-timeout') {
-      if (attempt < maxRetries) {
-        console.log(`🌐 Network error, retrying... (attempt ${attempt + 1}/${maxRetries + 1})`);
-        return makeNotionAPICall(url, options, attempt + 1);
-      }
-    }
-    
-    console.error(`❌ Notion API call failed:`, error.message);
-    throw error;
+    case 'date':
+      return (current ? Date.parse(current) : null) === (desired ? Date.parse(desired) : null);
+    default:
+      return current === desired;
   }
 }
 
 /**
- * Helper function to normalize URLs for comparison
+ * List the mapped properties (and managed page sections) whose Notion value differs from the raindrop item
  */
-function normalizeUrl(url) {
-  try {
-    const u = new URL(url);
-    u.hash = '';
-    u.search = '';
-    return u.href.replace(/\/$/, '').toLowerCase();
-  } catch {
-    return url;
+function getChangedProperties(page, item, context = {}) {
+  const desired = buildNotionProperties(item, context);
+  const changed = [];
+
+  for (const mapping of getPropertyMap()) {
+    const currentValue = decodeProperty(page.properties?.[mapping.property]);
+    const desiredValue = decodeProperty({ type: mapping.type, ...desired[mapping.property] });
+
+    if (!propertyValuesMatch(mapping.type, currentValue, desiredValue)) {
+      changed.push(mapping.property);
+    }
   }
-}
 
-/**
- * Helper function to normalize titles for comparison
- */
-function normalizeTitle(title) {
-  return (title || '').trim().toLowerCase();
+  return [...changed, ...getChangedMedia(page, item), ...getChangedSections(page.id, item)];
 }
 
 /**
- * Get all pages from the Notion database with robust pagination and rate limiting
+ * Get all pages from a Notion database (NOTION_DB_ID by default) with robust pagination and rate limiting.
+ * An optional query filter narrows the pages; a complete unfiltered fetch also refreshes the cached page count.
  */
-async function getNotionPages() {
+async function getNotionPages(databaseId = process.env.NOTION_DB_ID, filter = null) {
   console.log('📚 Starting Notion pages fetch with conservative rate limiting...');
   
   const pages = [];
@@ -150,12 +115,16 @@ async function getNotionPages() {
       if (startCursor) {
         requestBody.start_cursor = startCursor;
       }
+      if (filter) {
+        requestBody.filter = filter;
+      }
       
       const data = await makeNotionAPICall(
-        `${NOTION_API_URL}/databases/${process.env.NOTION_DB_ID}/query`,
+        `${NOTION_API_URL}/databases/${databaseId}/query`,
         {
           method: 'POST',
-          body: JSON.stringify(requestBody)
+          body: JSON.stringify(requestBody),
+          idempotent: true
         }
       );
       
@@ -186,14 +155,18 @@ async function getNotionPages() {
     
     console.log(`🎉 Notion fetch complete: ${pages.length} pages in ${totalTime}s (${requestCount} API calls, ${avgTimePerBatch}ms avg/batch)`);
     
+    if (!filter && !hasMore) {
+      setPages(databaseId, pages.map(page => page.id), totalFetchTime);
+    }
+    
     return pages;
     
   } catch (error) {
     const partialTime = Math.round((Date.now() - totalFetchTime) / 1000);
     console.error(`❌ Notion fetch failed after ${partialTime}s with ${pages.length} pages retrieved:`, error.message);
     
-    // Return partial results if we got some data
-    if (pages.length > 0) {
+    // Return partial results if we got some data (a filtered query is all or nothing)
+    if (pages.length > 0 && !filter) {
       console.log(`🔄 Returning ${pages.length} partial results`);
       return pages;
     }
@@ -203,20 +176,58 @@ async function getNotionPages() {
 }
 
 /**
- * Get total count of pages in the Notion database
+ * Get total count of pages in a Notion database (NOTION_DB_ID by default) from the cached page index.
+ * The index is refreshed with the pages edited since the last refresh; it is rebuilt from every page
+ * on the first count, once a day, or when fullRecount is set.
  */
-async function getTotalNotionPages() {
+async function getTotalNotionPages(databaseId = process.env.NOTION_DB_ID, { fullRecount = false } = {}) {
   try {
-    console.log('🔢 Getting total Notion page count...');
-    const pages = await getNotionPages();
-    console.log(`📊 Total Notion pages: ${pages.length}`);
-    return pages.length;
+    if (fullRecount || needsFullRecount(databaseId)) {
+      console.log('🔢 Counting every Notion page...');
+      const pages = await getNotionPages(databaseId);
+      console.log(`📊 Total Notion pages: ${pages.length}`);
+      return pages.length;
+    }
+    
+    const startedAt = Date.now();
+    const edited = await getNotionPages(databaseId, {
+      timestamp: 'last_edited_time',
+      last_edited_time: { on_or_after: getRefreshCutoff(databaseId) }
+    });
+    const count = addEditedPages(databaseId, edited.map(page => page.id), startedAt);
+    console.log(`📊 Total Notion pages: ${count} (${edited.length} edited since the last refresh)`);
+    return count;
   } catch (error) {
     console.error('❌ Error getting Notion page count:', error.message);
     throw error;
   }
 }
 
+/**
+ * Fetch a Notion database, including its property schema
+ */
+async function getDatabase(databaseId = process.env.NOTION_DB_ID) {
+  return makeNotionAPICall(`${NOTION_API_URL}/databases/${databaseId}`);
+}
+
+/**
+ * Add or rename properties of a Notion database
+ */
+async function updateDatabaseProperties(databaseId, properties) {
+  try {
+    console.log(`🏗️ Updating database ${databaseId} properties: ${Object.keys(properties).join(', ')}`);
+
+    return await makeNotionAPICall(`${NOTION_API_URL}/databases/${databaseId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ properties })
+    });
+
+  } catch (error) {
+    console.error(`❌ Failed to update properties of database ${databaseId}:`, error.message);
+    throw error;
+  }
+}
+
 /**
  * Delete a Notion page (archive it) with retry logic
  */
@@ -230,6 +241,7 @@ async function deleteNotionPage(pageId) {
     });
     
     console.log(`✅ Successfully deleted page: ${pageId}`);
+    recordPageArchived(pageId);
     return true;
     
   } catch (error) {
@@ -239,20 +251,139 @@ async function deleteNotionPage(pageId) {
 }
 
 /**
- * Update a Notion page with raindrop data
+ * List every top-level block of a page, following pagination
+ */
+async function getBlockChildren(blockId) {
+  const blocks = [];
+  let cursor = null;
+  
+  do {
+    const data = await makeNotionAPICall(`${NOTION_API_URL}/blocks/${blockId}/children?page_size=100${cursor ? `&start_cursor=${cursor}` : ''}`);
+    blocks.push(...(data.results || []));
+    cursor = data.has_more ? data.next_cursor : null;
+  } while (cursor);
+  
+  return blocks;
+}
+
+/**
+ * Append blocks to a page (after a given block, or at the end) in batches Notion accepts.
+ * Returns the created blocks.
+ */
+async function appendBlockChildren(parentId, blocks, after = null) {
+  let previousId = after;
+  const createdBlocks = [];
+  
+  for (let start = 0; start < blocks.length; start += 100) {
+    const body = { children: blocks.slice(start, start + 100) };
+    if (previousId) {
+      body.after = previousId;
+    }
+    
+    const data = await makeNotionAPICall(`${NOTION_API_URL}/blocks/${parentId}/children`, {
+      method: 'PATCH',
+      body: JSON.stringify(body),
+      idempotent: false
+    });
+    
+    const created = data.results || [];
+    createdBlocks.push(...created);
+    previousId = created.length > 0 ? created[created.length - 1].id : previousId;
+  }
+  
+  return createdBlocks;
+}
+
+/**
+ * Delete a single block
+ */
+async function deleteBlock(blockId) {
+  await makeNotionAPICall(`${NOTION_API_URL}/blocks/${blockId}`, { method: 'DELETE' });
+}
+
+/**
+ * Bring one managed section of a page in line with the item, leaving every other block alone.
+ * The section is found among the page's children by its recorded block IDs or its heading's marker.
+ * Returns the { headingId, endId } of the section as written, or null when it was removed.
+ */
+async function writePageSection(pageId, section, children) {
+  const existing = findSection(children, section, getSectionRecord(pageId, section.key));
+  
+  if (section.blocks.length === 0) {
+    if (existing) {
+      for (const block of [existing.heading, ...existing.blocks, ...(existing.end ? [existing.end] : [])]) {
+        await deleteBlock(block.id);
+      }
+    }
+    return null;
+  }
+  
+  if (!existing) {
+    const created = await appendBlockChildren(pageId, [buildSectionHeading(section), ...section.blocks, buildSectionEnd()]);
+    return { headingId: created[0].id, endId: created[created.length - 1].id };
+  }
+  
+  // Headings written before they carried a marker get one, so they survive a lost store
+  if (!isSectionHeading(existing.heading, section.key)) {
+    await makeNotionAPICall(`${NOTION_API_URL}/blocks/${existing.heading.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ heading_2: buildSectionHeading(section).heading_2 })
+    });
+  }
+  
+  const unchanged = existing.end &&
+    existing.blocks.length === section.blocks.length &&
+    existing.blocks.every((block, index) => getBlockSignature(block) === getBlockSignature(section.blocks[index]));
+  if (unchanged) {
+    return { headingId: existing.heading.id, endId: existing.end.id };
+  }
+  
+  for (const block of existing.blocks) {
+    await deleteBlock(block.id);
+  }
+  const created = await appendBlockChildren(pageId, [...section.blocks, ...(existing.end ? [] : [buildSectionEnd()])], existing.heading.id);
+  return { headingId: existing.heading.id, endId: existing.end ? existing.end.id : created[created.length - 1].id };
+}
+
+/**
+ * Sync the managed sections (e.g. highlights) of a page; sections unchanged since the last write are skipped
+ */
+async function syncPageSections(pageId, item) {
+  // Read once; each section only touches its own blocks, so later sections can still find theirs
+  let children = null;
+  
+  for (const section of buildSections(item)) {
+    const hash = section.blocks.length > 0 ? hashSection(section) : null;
+    if (hash === getSectionHash(pageId, section.key)) {
+      continue;
+    }
+    
+    children = children || await getBlockChildren(pageId);
+    const written = await writePageSection(pageId, section, children);
+    setSectionRecord(pageId, section.key, written && { hash, ...written });
+    console.log(`🧱 Synced "${section.title}" section of page ${pageId} (${section.blocks.length} blocks)`);
+  }
+}
+
+/**
+ * Record the tag rewrites of a bookmark whose page was just written, if tags are mapped at all
+ */
+function recordWrittenTags(item) {
+  if (getPropertyMap().some(mapping => mapping.field === 'tags')) {
+    recordTagRewrites(item.tags || []);
+  }
+}
+
+/**
+ * Update a Notion page with raindrop data (pass the current page to skip unchanged cover and icon)
  */
-async function updateNotionPage(pageId, item) {
+async function updateNotionPage(pageId, item, context = {}, existingPage = null) {
   try {
     console.log(`🔄 Updating Notion page: ${pageId} - "${item.title}"`);
     
     const page = {
-      properties: {
-        Name: { title: [{ text: { content: item.title || 'Untitled' } }] },
-        URL: { url: item.link },
-        Tags: {
-          multi_select: (item.tags || []).map(tag => ({ name: tag }))
-        }
-      }
+      properties: buildNotionProperties(item, context),
+      ...await buildPageMedia(item, existingPage)
     };
     
     await makeNotionAPICall(`${NOTION_API_URL}/pages/${pageId}`, {
@@ -261,23 +392,17 @@ async function updateNotionPage(pageId, item) {
     });
     
     console.log(`✅ Successfully updated page: ${pageId}`);
+    recordWrittenTags(item);
     
-    // Handle image updates asynchronously with conservative delays
-    const imageUrl = item.cover || 
-                    (item.media && item.media.length > 0 && item.media[0] && item.media[0].link) || 
-                    (item.preview && item.preview.length > 0 && item.preview[0]);
-                    
-    if (imageUrl) {
-      // Use a longer delay for image updates to be conservative
-      setTimeout(async () => {
-        try {
-          await updateNotionPageImage(pageId, imageUrl);
-        } catch (imageError) {
-          console.warn(`⚠️ Image update failed for page ${pageId}: ${imageError.message}`);
-        }
-      }, 1500); // Increased delay for image updates
+    // Section failures shouldn't fail the property update; the next sync retries them
+    try {
+      await syncPageSections(pageId, item);
+    } catch (sectionError) {
+      console.warn(`⚠️ Section update failed for page ${pageId}: ${sectionError.message}`);
     }
     
+    queueImageUpdate(pageId, item);
+    
     return true;
     
   } catch (error) {
@@ -287,41 +412,110 @@ async function updateNotionPage(pageId, item) {
 }
 
 /**
- * Update the image block of a Notion page with enhanced validation
+ * Patch selected properties of a Notion page without touching the rest
  */
-async function updateNotionPageImage(pageId, imageUrl) {
+async function updateNotionPageProperties(pageId, properties) {
   try {
-    // Enhanced image URL validation
-    if (!imageUrl || typeof imageUrl !== 'string') {
-      return false;
-    }
+    await makeNotionAPICall(`${NOTION_API_URL}/pages/${pageId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ properties })
+    });
     
-    // Validate URL format
-    let validUrl;
+    return true;
+    
+  } catch (error) {
+    console.error(`❌ Failed to patch properties of page ${pageId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * The bookmark's image: its cover, else its first media item, else its preview
+ */
+function getItemImageUrl(item) {
+  return item.cover ||
+    (item.media && item.media.length > 0 && item.media[0] && item.media[0].link) ||
+    (item.preview && item.preview.length > 0 && item.preview[0]) ||
+    null;
+}
+
+/**
+ * Favicon URL for the bookmark's site, or null
+ */
+function getFaviconUrl(item) {
+  let host = item.domain;
+  if (!host) {
     try {
-      validUrl = new URL(imageUrl);
-      if (validUrl.protocol !== 'https:' && validUrl.protocol !== 'http:') {
-        console.log(`⚠️ Skipping image with unsupported protocol: ${validUrl.protocol}`);
-        return false;
-      }
-    } catch (e) {
-      console.log(`⚠️ Skipping malformed image URL: ${imageUrl}`);
-      return false;
+      host = new URL(item.link).hostname;
+    } catch {
+      return null;
     }
-    
-    // Check for valid image patterns
-    const imagePatterns = [
-      /\.(jpg|jpeg|png|gif|webp|svg|bmp)(\?|$)/i,
-      /image/i,
-      /img/i,
-      /thumbnail/i,
-      /asset/i,
-      /media/i
-    ];
-    
-    const isValidImage = imagePatterns.some(pattern => pattern.test(imageUrl));
-    if (!isValidImage) {
-      console.log(`⚠️ URL doesn't appear to be an image: ${imageUrl}`);
+  }
+  return `https://www.google.com/s2/favicons?domain=${encodeURIComponent(host)}&sz=64`;
+}
+
+/**
+ * Cover and icon URLs the bookmark's page should have ('cover' image mode only)
+ */
+function getDesiredMedia(item) {
+  if (IMAGE_CONFIG.mode !== 'cover') {
+    return {};
+  }
+  return { cover: getItemImageUrl(item), icon: getFaviconUrl(item) };
+}
+
+/**
+ * External URL of a page's cover or icon, or null
+ */
+function getPageMediaUrl(page, key) {
+  const media = page && page[key];
+  return (media && media.type === 'external' && media.external && media.external.url) || null;
+}
+
+/**
+ * Cover and icon that differ from the page ('Cover', 'Icon'); URLs known not to be images never count
+ */
+function getChangedMedia(page, item) {
+  const labels = { cover: 'Cover', icon: 'Icon' };
+  return Object.entries(getDesiredMedia(item))
+    .filter(([key, url]) => url && url !== getPageMediaUrl(page, key) && getKnownImageCheck(url) !== false)
+    .map(([key]) => labels[key]);
+}
+
+/**
+ * Page cover and icon for the bookmark in 'cover' image mode; only URLs that serve images are used.
+ * Given the current page, media it already has is left out, so it is neither checked nor written again.
+ */
+async function buildPageMedia(item, page = null) {
+  const media = {};
+  
+  for (const [key, url] of Object.entries(getDesiredMedia(item))) {
+    if (url && url !== getPageMediaUrl(page, key) && await isImageUrl(url)) {
+      media[key] = { type: 'external', external: { url } };
+    }
+  }
+  
+  return media;
+}
+
+/**
+ * Queue the image block update of a page as a follow-up task (block image mode only)
+ */
+function queueImageUpdate(pageId, item) {
+  const imageUrl = IMAGE_CONFIG.mode === 'block' && getItemImageUrl(item);
+  if (imageUrl) {
+    queueFollowUp({ type: 'image', pageId, raindropId: item._id, title: item.title, payload: { imageUrl } });
+  }
+}
+
+/**
+ * Update the image block of a Notion page (only for URLs that serve an image).
+ * Returns false when the URL isn't an image; API errors are thrown so the task can be retried.
+ */
+async function updateNotionPageImage(pageId, imageUrl) {
+  try {
+    // Only URLs that really serve an image
+    if (!(await isImageUrl(imageUrl))) {
       return false;
     }
     
@@ -353,6 +547,7 @@ async function updateNotionPageImage(pageId, imageUrl) {
       // Create new image block
       await makeNotionAPICall(`${NOTION_API_URL}/blocks/${pageId}/children`, {
         method: 'PATCH',
+        idempotent: false,
         body: JSON.stringify({
           children: [{
             object: 'block',
@@ -370,26 +565,31 @@ async function updateNotionPageImage(pageId, imageUrl) {
     
   } catch (error) {
     console.error(`❌ Image update failed for page ${pageId}:`, error.message);
-    return false; // Image failures shouldn't break the main sync
+    throw error;
+  }
+}
+
+/**
+ * Run a queued follow-up task; errors are thrown so the caller can retry it
+ */
+async function runFollowUpTask(task) {
+  if (task.type === 'image') {
+    return updateNotionPageImage(task.pageId, task.payload.imageUrl);
   }
+  throw new Error(`Unknown follow-up task type: ${task.type}`);
 }
 
 /**
- * Create a new Notion page from raindrop data
+ * Create a new Notion page from raindrop data in a database (NOTION_DB_ID by default)
  */
-async function createNotionPage(item) {
+async function createNotionPage(item, context = {}, databaseId = process.env.NOTION_DB_ID) {
   try {
     console.log(`📝 Creating Notion page: "${item.title}"`);
     
     const page = {
-      parent: { database_id: process.env.NOTION_DB_ID },
-      properties: {
-        Name: { title: [{ text: { content: item.title || 'Untitled' } }] },
-        URL: { url: item.link },
-        Tags: {
-          multi_select: (item.tags || []).map(tag => ({ name: tag }))
-        }
-      }
+      parent: { database_id: databaseId },
+      properties: buildNotionProperties(item, context),
+      ...await buildPageMedia(item)
     };
     
     const createdPage = await makeNotionAPICall(`${NOTION_API_URL}/pages`, {
@@ -399,22 +599,18 @@ async function createNotionPage(item) {
     
     const pageId = createdPage.id;
     console.log(`✅ Successfully created page: ${pageId} - "${item.title}"`);
+    recordPageCreated(databaseId, pageId);
+    recordWrittenTags(item);
     
-    // Handle image creation asynchronously
-    const imageUrl = item.cover || 
-                    (item.media && item.media.length > 0 && item.media[0] && item.media[0].link) || 
-                    (item.preview && item.preview.length > 0 && item.preview[0]);
-                    
-    if (imageUrl) {
-      setTimeout(async () => {
-        try {
-          await updateNotionPageImage(pageId, imageUrl);
-        } catch (imageError) {
-          console.warn(`⚠️ Image creation failed for page ${pageId}: ${imageError.message}`);
-        }
-      }, 1500);
+    // Managed sections are appended separately so their block IDs can be recorded
+    try {
+      await syncPageSections(pageId, item);
+    } catch (sectionError) {
+      console.warn(`⚠️ Section creation failed for page ${pageId}: ${sectionError.message}`);
     }
     
+    queueImageUpdate(pageId, item);
+    
     return { success: true, pageId };
     
   } catch (error) {
@@ -427,7 +623,12 @@ async function createNotionPage(item) {
 module.exports = { 
   getNotionPages,
   getTotalNotionPages,
+  getDatabase,
+  updateDatabaseProperties,
   deleteNotionPage,
   updateNotionPage,
-  createNotionPage
+  updateNotionPageProperties,
+  createNotionPage,
+  getChangedProperties,
+  runFollowUpTask
 };
\ No newline at end of file
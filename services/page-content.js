@@ -0,0 +1,301 @@
+// File: services/page-content.js
+'use strict';
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./storage');
+
+const STORE_NAME = 'page-content';
+
+// Notion rejects rich text items longer than this
+const RICH_TEXT_LIMIT = 2000;
+
+// Managed section headings link here (plus the section key); user headings never carry it
+const SECTION_MARKER_URL = 'https://raindrop.io/#notion-sync-section-';
+
+const PAGE_CONTENT_CONFIG = {
+  excerpt: process.env.SYNC_EXCERPT !== 'false',
+  note: process.env.SYNC_NOTE !== 'false',
+  highlights: process.env.SYNC_HIGHLIGHTS !== 'false'
+};
+
+// Raindrop highlight colors -> Notion block colors
+const HIGHLIGHT_COLORS = {
+  yellow: 'yellow_background',
+  blue: 'blue_background',
+  brown: 'brown_background',
+  cyan: 'blue_background',
+  gray: 'gray_background',
+  green: 'green_background',
+  indigo: 'purple_background',
+  orange: 'orange_background',
+  pink: 'pink_background',
+  purple: 'purple_background',
+  red: 'red_background',
+  teal: 'green_background'
+};
+
+// pageId -> { sectionKey: { hash, headingId, endId } of the section last written }, loaded lazily from disk
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { pages: {} },
+  load: stored => new Map(Object.entries(stored.pages || {})),
+  serialize: records => ({ pages: Object.fromEntries(records) })
+});
+
+/**
+ * Rich text for a string, split into items Notion accepts
+ */
+function toRichText(text, annotations = null) {
+  const value = String(text || '');
+  const items = [];
+  for (let start = 0; start < value.length; start += RICH_TEXT_LIMIT) {
+    const item = { type: 'text', text: { content: value.slice(start, start + RICH_TEXT_LIMIT) } };
+    if (annotations) {
+      item.annotations = annotations;
+    }
+    items.push(item);
+  }
+  return items;
+}
+
+/**
+ * Split text into chunks under the rich text limit: at blank lines first, then at spaces
+ */
+function splitText(text, limit = RICH_TEXT_LIMIT) {
+  const chunks = [];
+
+  for (const paragraph of String(text || '').split(/\n\s*\n/)) {
+    let rest = paragraph.trim();
+    while (rest.length > limit) {
+      const space = rest.lastIndexOf(' ', limit);
+      const cut = space > limit / 2 ? space : limit;
+      chunks.push(rest.slice(0, cut).trimEnd());
+      rest = rest.slice(cut).trimStart();
+    }
+    if (rest) {
+      chunks.push(rest);
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Paragraph blocks for a piece of text, one per chunk
+ */
+function buildParagraphBlocks(text) {
+  return splitText(text).map(chunk => ({
+    object: 'block',
+    type: 'paragraph',
+    paragraph: { rich_text: toRichText(chunk) }
+  }));
+}
+
+/**
+ * One quote block per highlight, or a callout when the highlight has a note
+ */
+function buildHighlightBlocks(item) {
+  return (item.highlights || [])
+    .filter(highlight => highlight && highlight.text && highlight.text.trim())
+    .map(highlight => {
+      const color = HIGHLIGHT_COLORS[highlight.color] || HIGHLIGHT_COLORS.yellow;
+      const text = toRichText(highlight.text.trim());
+      const note = highlight.note && highlight.note.trim();
+
+      if (!note) {
+        return { object: 'block', type: 'quote', quote: { rich_text: text, color } };
+      }
+
+      return {
+        object: 'block',
+        type: 'callout',
+        callout: {
+          rich_text: [...text, ...toRichText('\n'), ...toRichText(note, { italic: true })],
+          icon: { type: 'emoji', emoji: '📝' },
+          color
+        }
+      };
+    });
+}
+
+/**
+ * Managed sections for an item: { key, title, types, blocks }.
+ * types lists the block types a section may contain, so user blocks are never mistaken for it.
+ */
+function buildSections(item) {
+  const sections = [];
+
+  if (PAGE_CONTENT_CONFIG.excerpt) {
+    sections.push({ key: 'excerpt', title: 'Excerpt', types: ['paragraph'], blocks: buildParagraphBlocks(item.excerpt) });
+  }
+
+  if (PAGE_CONTENT_CONFIG.note) {
+    sections.push({ key: 'note', title: 'Note', types: ['paragraph'], blocks: buildParagraphBlocks(item.note) });
+  }
+
+  if (PAGE_CONTENT_CONFIG.highlights) {
+    sections.push({ key: 'highlights', title: 'Highlights', types: ['quote', 'callout'], blocks: buildHighlightBlocks(item) });
+  }
+
+  return sections;
+}
+
+/**
+ * Link a managed heading carries, so the section can be found on the page without the store
+ */
+function getSectionMarkerUrl(key) {
+  return `${SECTION_MARKER_URL}${key}`;
+}
+
+/**
+ * Heading that opens a managed section; its text links to the section's marker URL
+ */
+function buildSectionHeading(section) {
+  const richText = toRichText(section.title).map(part => ({
+    ...part,
+    text: { ...part.text, link: { url: getSectionMarkerUrl(section.key) } }
+  }));
+  return { object: 'block', type: 'heading_2', heading_2: { rich_text: richText } };
+}
+
+/**
+ * Whether a block is the managed heading of a section, by its marker link rather than its text
+ */
+function isSectionHeading(block, key) {
+  const richText = (block.type === 'heading_2' && block.heading_2 && block.heading_2.rich_text) || [];
+  const markerUrl = getSectionMarkerUrl(key);
+  return richText.some(part => (part.href || (part.text && part.text.link && part.text.link.url)) === markerUrl);
+}
+
+/**
+ * Divider that closes a managed section
+ */
+function buildSectionEnd() {
+  return { object: 'block', type: 'divider', divider: {} };
+}
+
+/**
+ * Plain text of a block's rich text, from either a written or a fetched block
+ */
+function getBlockText(block) {
+  const richText = (block[block.type] && block[block.type].rich_text) || [];
+  return richText.map(part => (part.plain_text !== undefined ? part.plain_text : (part.text && part.text.content) || '')).join('');
+}
+
+/**
+ * Comparable form of a block: type, color and text
+ */
+function getBlockSignature(block) {
+  const content = block[block.type] || {};
+  return `${block.type}|${content.color || 'default'}|${getBlockText(block)}`;
+}
+
+/**
+ * Hash of a section's blocks, to skip unchanged sections without reading the page
+ */
+function hashSection(section) {
+  return crypto.createHash('sha1').update(JSON.stringify(section.blocks.map(getBlockSignature))).digest('hex');
+}
+
+/**
+ * Locate a managed section in a page's top-level blocks: by the block IDs recorded when it was
+ * written, else by the marker link on its heading (the store may have been lost).
+ * Headings are never matched by text, so a heading the user wrote with the same title is left alone.
+ * Returns { heading, blocks, end } (end is the closing divider, if still there) or null.
+ */
+function findSection(children, section, record = null) {
+  let index = record && record.headingId ? children.findIndex(block => block.id === record.headingId) : -1;
+  if (index === -1) {
+    index = children.findIndex(block => isSectionHeading(block, section.key));
+  }
+  if (index === -1) {
+    return null;
+  }
+
+  // The recorded divider closes the section; without one, the first divider after the heading does
+  let endIndex = record && record.endId ? children.findIndex(block => block.id === record.endId) : -1;
+  if (endIndex <= index) {
+    const nextEnd = children.slice(index + 1).findIndex(block => block.type === 'divider' || !section.types.includes(block.type));
+    endIndex = nextEnd !== -1 && children[index + 1 + nextEnd].type === 'divider' ? index + 1 + nextEnd : -1;
+  }
+  const hasEnd = endIndex > index;
+
+  const blocks = [];
+  for (const block of children.slice(index + 1, hasEnd ? endIndex : undefined)) {
+    if (!section.types.includes(block.type)) {
+      // Inside a closed section, skip blocks it could not contain; without the divider, stop at them
+      if (hasEnd) {
+        continue;
+      }
+      break;
+    }
+    blocks.push(block);
+  }
+
+  return { heading: children[index], blocks, end: hasEnd ? children[endIndex] : null };
+}
+
+/**
+ * Record of a section as last written to a page ({ hash, headingId, endId }), or null
+ */
+function getSectionRecord(pageId, key) {
+  const records = store.get();
+  const page = records.get(pageId);
+  const record = page && page[key];
+  // Older stores kept only the hash; such sections are found by their heading's marker
+  return typeof record === 'string' ? { hash: record } : record || null;
+}
+
+/**
+ * Hash of a section as last written to a page, or null
+ */
+function getSectionHash(pageId, key) {
+  const record = getSectionRecord(pageId, key);
+  return record ? record.hash : null;
+}
+
+/**
+ * Remember a section written to a page: { hash, headingId, endId } (null forgets it)
+ */
+function setSectionRecord(pageId, key, record) {
+  const records = store.get();
+  const page = { ...records.get(pageId) };
+  if (record && record.hash) {
+    page[key] = record;
+  } else {
+    delete page[key];
+  }
+
+  if (Object.keys(page).length > 0) {
+    records.set(pageId, page);
+  } else {
+    records.delete(pageId);
+  }
+  store.save();
+}
+
+/**
+ * Titles of the sections whose content differs from what was last written to a page
+ */
+function getChangedSections(pageId, item) {
+  return buildSections(item)
+    .filter(section => (section.blocks.length > 0 ? hashSection(section) : null) !== getSectionHash(pageId, section.key))
+    .map(section => section.title);
+}
+
+module.exports = {
+  PAGE_CONTENT_CONFIG,
+  RICH_TEXT_LIMIT,
+  toRichText,
+  splitText,
+  buildSections,
+  buildSectionHeading,
+  isSectionHeading,
+  buildSectionEnd,
+  getBlockSignature,
+  hashSection,
+  findSection,
+  getChangedSections,
+  getSectionRecord,
+  getSectionHash,
+  setSectionRecord
+};
@@ -0,0 +1,113 @@
+// File: services/page-count.js
+'use strict';
+
+const { createJsonStore } = require('./storage');
+
+const STORE_NAME = 'page-counts';
+
+const PAGE_COUNT_CONFIG = {
+  fullRecountAfterMs: 24 * 60 * 60 * 1000, // Pages archived outside the sync are only noticed by a full recount
+  editedTimeSlackMs: 60 * 1000             // Notion rounds last_edited_time down to the minute
+};
+
+// databaseId -> { pageIds: Set, refreshedAt, countedAt }, loaded lazily from disk
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { databases: {} },
+  load(stored) {
+    const databases = new Map();
+    for (const [databaseId, entry] of Object.entries(stored.databases || {})) {
+      databases.set(databaseId, { ...entry, pageIds: new Set(entry.pageIds || []) });
+    }
+    return databases;
+  },
+  serialize(databases) {
+    const serialized = {};
+    for (const [databaseId, entry] of databases) {
+      serialized[databaseId] = { ...entry, pageIds: [...entry.pageIds] };
+    }
+    return { databases: serialized };
+  }
+});
+
+/**
+ * Cached count for a database: { count, refreshedAt, countedAt }, or null before the first count
+ */
+function getPageCount(databaseId) {
+  const databases = store.get();
+  const entry = databases.get(databaseId);
+  return entry ? { count: entry.pageIds.size, refreshedAt: entry.refreshedAt, countedAt: entry.countedAt } : null;
+}
+
+/**
+ * Whether a database needs a full recount instead of an incremental refresh
+ */
+function needsFullRecount(databaseId, now = Date.now()) {
+  const cached = getPageCount(databaseId);
+  return !cached || now - Date.parse(cached.countedAt) > PAGE_COUNT_CONFIG.fullRecountAfterMs;
+}
+
+/**
+ * ISO time to query for pages edited since the last refresh (with slack for Notion's rounding)
+ */
+function getRefreshCutoff(databaseId) {
+  const cached = getPageCount(databaseId);
+  return new Date(Date.parse(cached.refreshedAt) - PAGE_COUNT_CONFIG.editedTimeSlackMs).toISOString();
+}
+
+/**
+ * Replace a database's index with the full list of its pages, fetched from startedAt on
+ */
+function setPages(databaseId, pageIds, startedAt) {
+  const databases = store.get();
+  const timestamp = new Date(startedAt).toISOString();
+  databases.set(databaseId, { pageIds: new Set(pageIds), refreshedAt: timestamp, countedAt: timestamp });
+  store.save();
+}
+
+/**
+ * Add pages edited since the last refresh, found by a query started at startedAt. Returns the new count.
+ */
+function addEditedPages(databaseId, pageIds, startedAt) {
+  const databases = store.get();
+  const entry = databases.get(databaseId);
+  pageIds.forEach(pageId => entry.pageIds.add(pageId));
+  entry.refreshedAt = new Date(startedAt).toISOString();
+  store.save();
+  return entry.pageIds.size;
+}
+
+/**
+ * Count a page the sync just created (databases that were never counted are left alone)
+ */
+function recordPageCreated(databaseId, pageId) {
+  const databases = store.get();
+  const entry = databases.get(databaseId);
+  if (entry && !entry.pageIds.has(pageId)) {
+    entry.pageIds.add(pageId);
+    store.save();
+  }
+}
+
+/**
+ * Stop counting a page the sync archived, in whichever database holds it
+ */
+function recordPageArchived(pageId) {
+  const databases = store.get();
+  for (const entry of databases.values()) {
+    if (entry.pageIds.delete(pageId)) {
+      store.save();
+      return;
+    }
+  }
+}
+
+module.exports = {
+  PAGE_COUNT_CONFIG,
+  getPageCount,
+  needsFullRecount,
+  getRefreshCutoff,
+  setPages,
+  addEditedPages,
+  recordPageCreated,
+  recordPageArchived
+};
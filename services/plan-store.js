@@ -0,0 +1,104 @@
+// File: services/plan-store.js
+'use strict';
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./storage');
+
+const STORE_NAME = 'plans';
+
+const PLAN_CONFIG = {
+  maxPlans: 10,                  // Only the most recent plans are kept
+  ttlMs: 60 * 60 * 1000          // Plans older than an hour are too stale to apply
+};
+
+// Stored plans, newest first, loaded lazily from disk
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { plans: [] },
+  load: stored => stored.plans || [],
+  serialize: plans => ({ plans })
+});
+
+/**
+ * Persist a dry-run plan and return it with its ID
+ */
+function savePlan(mode, entries) {
+  const plan = {
+    id: crypto.randomBytes(8).toString('hex'),
+    mode,
+    createdAt: new Date().toISOString(),
+    appliedAt: null,
+    cursor: 0,
+    entries
+  };
+
+  const plans = store.get();
+  plans.unshift(plan);
+  plans.splice(PLAN_CONFIG.maxPlans);
+  store.save();
+
+  console.log(`📋 Saved ${mode} plan ${plan.id} with ${entries.length} entries`);
+  return plan;
+}
+
+/**
+ * Get a plan by ID, or null if it does not exist
+ */
+function getPlan(planId) {
+  return store.get().find(plan => plan.id === planId) || null;
+}
+
+/**
+ * Check that a plan can still be applied, returning a reason if not
+ */
+function getPlanProblem(plan) {
+  if (!plan) {
+    return 'Plan not found';
+  }
+  if (plan.appliedAt) {
+    return `Plan was already applied at ${plan.appliedAt}`;
+  }
+  // An apply that has started is allowed to finish
+  if (!plan.cursor && Date.now() - Date.parse(plan.createdAt) > PLAN_CONFIG.ttlMs) {
+    return 'Plan has expired, please run a new dry run';
+  }
+  return null;
+}
+
+/**
+ * Claim the next chunk of a plan's entries: { entries, start, end, total }.
+ * The cursor is written to disk before the entries are applied, so a dropped connection
+ * can never apply the same entries twice; the plan counts as applied once the last chunk is claimed.
+ */
+function claimPlanChunk(planId, chunkSize) {
+  const plan = getPlan(planId);
+  const start = plan.cursor || 0;
+  const end = Math.min(start + chunkSize, plan.entries.length);
+
+  plan.cursor = end;
+  if (end >= plan.entries.length) {
+    plan.appliedAt = new Date().toISOString();
+  }
+  store.save();
+  store.flush();
+
+  return { entries: plan.entries.slice(start, end), start, end, total: plan.entries.length };
+}
+
+/**
+ * Summarize plan entries by action
+ */
+function summarizePlan(entries) {
+  return entries.reduce((totals, entry) => {
+    totals[entry.action] = (totals[entry.action] || 0) + 1;
+    return totals;
+  }, { create: 0, update: 0, skip: 0 });
+}
+
+module.exports = {
+  PLAN_CONFIG,
+  savePlan,
+  getPlan,
+  getPlanProblem,
+  claimPlanChunk,
+  summarizePlan
+};
@@ -0,0 +1,310 @@
+// File: services/property-mapping.js
+'use strict';
+
+const { MULTI_SELECT_LIMITS, sanitizeOptionName, transformTags, restoreRaindropTags } = require('./tag-rules');
+
+// Notion caps a single rich text object at 2000 characters
+const RICH_TEXT_LIMIT = 2000;
+
+/**
+ * Raindrop fields that can be mapped, with the Notion property types each
+ * one can be written to (first entry is the default type)
+ */
+const FIELD_DEFINITIONS = {
+  id:         { types: ['number', 'rich_text'],                       read: item => (item._id === undefined ? null : item._id) },
+  title:      { types: ['title', 'rich_text'],                        read: item => item.title || 'Untitled' },
+  link:       { types: ['url', 'rich_text'],                          read: item => item.link || null },
+  tags:       { types: ['multi_select', 'rich_text'],                 read: item => transformTags(item.tags || []) },
+  excerpt:    { types: ['rich_text'],                                 read: item => item.excerpt || '' },
+  note:       { types: ['rich_text'],                                 read: item => item.note || '' },
+  collection: { types: ['select', 'rich_text', 'multi_select'],       read: (item, context) => getCollectionTitle(item, context) },
+  created:    { types: ['date', 'rich_text'],                         read: item => item.created || null },
+  lastUpdate: { types: ['date', 'rich_text'],                         read: item => item.lastUpdate || null },
+  domain:     { types: ['rich_text', 'select', 'url'],                read: item => item.domain || null },
+  type:       { types: ['select', 'rich_text'],                       read: item => item.type || null },
+  important:  { types: ['checkbox', 'rich_text'],                     read: item => Boolean(item.important) }
+};
+
+// Every page carries its raindrop ID so pages can be matched deterministically
+const RAINDROP_ID_PROPERTY = process.env.NOTION_RAINDROP_ID_PROPERTY || 'Raindrop ID';
+
+// What the sync wrote before mappings were configurable, plus the raindrop ID
+const DEFAULT_PROPERTY_MAP = [
+  { field: 'title', property: 'Name', type: 'title' },
+  { field: 'link', property: 'URL', type: 'url' },
+  { field: 'tags', property: 'Tags', type: 'multi_select' },
+  { field: 'id', property: RAINDROP_ID_PROPERTY, type: 'number' }
+];
+
+let cachedPropertyMap = null;
+
+/**
+ * Resolve the collection title for an item from a prefetched collections map
+ */
+function getCollectionTitle(item, context = {}) {
+  const collectionId = item.collection && (item.collection.$id !== undefined ? item.collection.$id : item.collection._id);
+  if (collectionId === undefined || collectionId === null) {
+    return null;
+  }
+
+  if (collectionId === -1) {
+    return 'Unsorted';
+  }
+
+  const collections = context.collections;
+  return (collections && collections.get(collectionId)) || null;
+}
+
+/**
+ * Validate a mapping config and fill in default property types
+ */
+function validatePropertyMap(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Property map must be a non-empty array of { field, property, type } entries');
+  }
+
+  const seenProperties = new Set();
+
+  const validated = entries.map((entry, index) => {
+    const definition = FIELD_DEFINITIONS[entry && entry.field];
+    if (!definition) {
+      throw new Error(`Property map entry ${index}: unknown Raindrop field "${entry && entry.field}" (supported: ${Object.keys(FIELD_DEFINITIONS).join(', ')})`);
+    }
+
+    if (!entry.property || typeof entry.property !== 'string') {
+      throw new Error(`Property map entry ${index}: "property" must be the name of a Notion property`);
+    }
+
+    if (seenProperties.has(entry.property)) {
+      throw new Error(`Property map entry ${index}: Notion property "${entry.property}" is mapped more than once`);
+    }
+    seenProperties.add(entry.property);
+
+    const type = entry.type || definition.types[0];
+    if (!definition.types.includes(type)) {
+      throw new Error(`Property map entry ${index}: field "${entry.field}" cannot be written to a "${type}" property (allowed: ${definition.types.join(', ')})`);
+    }
+
+    return { field: entry.field, property: entry.property, type };
+  });
+
+  // Custom maps always get the raindrop ID property too
+  if (!validated.some(mapping => mapping.field === 'id') && !seenProperties.has(RAINDROP_ID_PROPERTY)) {
+    validated.push({ field: 'id', property: RAINDROP_ID_PROPERTY, type: 'number' });
+  }
+
+  return validated;
+}
+
+/**
+ * Load the active property map from NOTION_PROPERTY_MAP (JSON) or the defaults
+ */
+function getPropertyMap() {
+  if (cachedPropertyMap) {
+    return cachedPropertyMap;
+  }
+
+  let entries = DEFAULT_PROPERTY_MAP;
+
+  if (process.env.NOTION_PROPERTY_MAP) {
+    try {
+      entries = JSON.parse(process.env.NOTION_PROPERTY_MAP);
+    } catch (error) {
+      throw new Error(`NOTION_PROPERTY_MAP is not valid JSON: ${error.message}`);
+    }
+  }
+
+  cachedPropertyMap = validatePropertyMap(entries);
+  console.log(`🗺️ Using property map: ${cachedPropertyMap.map(m => `${m.field} → ${m.property} (${m.type})`).join(', ')}`);
+  return cachedPropertyMap;
+}
+
+/**
+ * Whether any mapped property needs the given Raindrop field
+ */
+function isFieldMapped(field) {
+  return getPropertyMap().some(mapping => mapping.field === field);
+}
+
+/**
+ * Split text into rich text objects that respect Notion's per-object limit
+ */
+function toRichText(content) {
+  const text = content === null || content === undefined ? '' : String(content);
+  const parts = [];
+  for (let i = 0; i < text.length; i += RICH_TEXT_LIMIT) {
+    parts.push({ text: { content: text.slice(i, i + RICH_TEXT_LIMIT) } });
+  }
+  return parts;
+}
+
+/**
+ * Render a raw Raindrop value as plain text (for rich_text targets)
+ */
+function valueToText(value) {
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Encode a raw Raindrop value as a Notion property value of the given type
+ */
+function encodeValue(type, value) {
+  switch (type) {
+    case 'title':
+      return { title: toRichText(value) };
+    case 'rich_text':
+      return { rich_text: toRichText(valueToText(value)) };
+    case 'url':
+      return { url: value || null };
+    case 'select': {
+      const name = value ? sanitizeOptionName(value) : '';
+      return { select: name ? { name } : null };
+    }
+    case 'multi_select': {
+      // Invalid names or too many options would fail the whole page write
+      const values = Array.isArray(value) ? value : (value ? [value] : []);
+      const names = [...new Set(values.map(sanitizeOptionName).filter(Boolean))].slice(0, MULTI_SELECT_LIMITS.options);
+      return { multi_select: names.map(name => ({ name })) };
+    }
+    case 'date':
+      return { date: value ? { start: new Date(value).toISOString() } : null };
+    case 'checkbox':
+      return { checkbox: Boolean(value) };
+    case 'number':
+      return { number: value === null || value === undefined ? null : Number(value) };
+    default:
+      throw new Error(`Unsupported Notion property type: ${type}`);
+  }
+}
+
+/**
+ * Decode a Notion property value into a plain JS value
+ */
+function decodeProperty(property) {
+  if (!property) {
+    return null;
+  }
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return (property[property.type] || []).map(part => part.plain_text || (part.text && part.text.content) || '').join('');
+    case 'url':
+      return property.url || null;
+    case 'select':
+      return property.select ? property.select.name : null;
+    case 'multi_select':
+      return (property.multi_select || []).map(option => option.name);
+    case 'date':
+      return property.date ? property.date.start : null;
+    case 'checkbox':
+      return Boolean(property.checkbox);
+    case 'number':
+      return property.number === undefined ? null : property.number;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the raw value of a mapped Raindrop field for an item
+ */
+function getFieldValue(item, field, context = {}) {
+  return FIELD_DEFINITIONS[field].read(item, context);
+}
+
+/**
+ * Build the Notion `properties` payload for a Raindrop item
+ */
+function buildNotionProperties(item, context = {}) {
+  const properties = {};
+
+  for (const mapping of getPropertyMap()) {
+    properties[mapping.property] = encodeValue(mapping.type, getFieldValue(item, mapping.field, context));
+  }
+
+  return properties;
+}
+
+/**
+ * Find the Notion property name a Raindrop field is mapped to (first match)
+ */
+function getMappedPropertyName(field) {
+  const mapping = getPropertyMap().find(entry => entry.field === field);
+  return mapping ? mapping.property : null;
+}
+
+/**
+ * Read the current value of a mapped Raindrop field back from a Notion page
+ */
+function readMappedField(page, field) {
+  const propertyName = getMappedPropertyName(field);
+  if (!propertyName || !page.properties) {
+    return null;
+  }
+  return decodeProperty(page.properties[propertyName]);
+}
+
+// Fields that can flow back from Notion to Raindrop, with the property types that round-trip cleanly
+const WRITE_BACK_FIELDS = {
+  title: ['title', 'rich_text'],
+  tags: ['multi_select']
+};
+
+/**
+ * Changes to push to a raindrop so it matches the values curated in Notion
+ */
+function getWriteBackChanges(page, item) {
+  const changes = {};
+
+  for (const mapping of getPropertyMap()) {
+    const allowedTypes = WRITE_BACK_FIELDS[mapping.field];
+    if (!allowedTypes || !allowedTypes.includes(mapping.type) || !page.properties || !page.properties[mapping.property]) {
+      continue;
+    }
+
+    const notionValue = decodeProperty(page.properties[mapping.property]);
+
+    if (mapping.field === 'title') {
+      const title = (notionValue || '').trim();
+      if (title && title !== (item.title || '').trim()) {
+        changes.title = title;
+      }
+    }
+
+    if (mapping.field === 'tags') {
+      // Notion holds the tags after the tag rules, so map them back onto the Raindrop spelling
+      const raindropTags = item.tags || [];
+      const restoredTags = restoreRaindropTags(raindropTags, [...new Set(notionValue || [])]);
+      const sameTags = restoredTags.length === raindropTags.length && restoredTags.every(tag => raindropTags.includes(tag));
+      if (!sameTags) {
+        changes.tags = restoredTags;
+      }
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  RAINDROP_ID_PROPERTY,
+  FIELD_DEFINITIONS,
+  DEFAULT_PROPERTY_MAP,
+  getPropertyMap,
+  validatePropertyMap,
+  isFieldMapped,
+  getMappedPropertyName,
+  readMappedField,
+  getWriteBackChanges,
+  getFieldValue,
+  encodeValue,
+  decodeProperty,
+  buildNotionProperties,
+  toRichText
+};
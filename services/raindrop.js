@@ -1,119 +1,31 @@
 // File: services/raindrop.js
 'use strict';
 
-const fetch = require('node-fetch');
+const { createHttpClient, getHttpStats } = require('./http-client');
 
-// Conservative rate limiting configuration
 const RATE_LIMIT_CONFIG = {
-  baseDelay: 600,           // 600ms between requests
-  maxRetries: 5,            // Max retry attempts
-  backoffMultiplier: 2,     // Exponential backoff
-  maxBackoffDelay: 30000,   // Max 30 seconds between retries
   pageSize: 50,             // Raindrop's max per page
-  batchTimeout: 60000,      // 60 second timeout per batch
   maxPages: 100             // Safety limit for very large collections
 };
 
-/**
- * Sleep utility for delays
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Calculate exponential backoff delay
- */
-function calculateBackoffDelay(attempt) {
-  const delay = RATE_LIMIT_CONFIG.baseDelay * Math.pow(RATE_LIMIT_CONFIG.backoffMultiplier, attempt);
-  return Math.min(delay, RATE_LIMIT_CONFIG.maxBackoffDelay);
-}
-
-/**
- * Robust API call with retry logic and rate limiting
- */
-async function makeRaindropAPICall(url, options = {}, attempt = 0) {
-  const maxRetries = RATE_LIMIT_CONFIG.maxRetries;
-  
-  try {
-    // Add delay before each request (except first attempt)
-    if (attempt > 0) {
-      const backoffDelay = calculateBackoffDelay(attempt - 1);
-      console.log(`⏳ Raindrop API backing off for ${backoffDelay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
-      await sleep(backoffDelay);
-    } else {
-      // Base delay for API politeness
-      await sleep(RATE_LIMIT_CONFIG.baseDelay);
-    }
-    
-    const response = await fetch(url, {
-      timeout: RATE_LIMIT_CONFIG.batchTimeout,
-      ...options,
-      headers: {
-        'Authorization': `Bearer ${process.env.RAINDROP_TOKEN}`,
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
-    });
-    
-    // Handle rate limiting
-    if (response.status === 429) {
-      const retryAfter = response.headers.get('retry-after');
-      const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : calculateBackoffDelay(attempt);
-      
-      console.log(`⏰ Raindrop rate limited. Waiting ${waitTime}ms before retry...`);
-      await sleep(waitTime);
-      
-      if (attempt < maxRetries) {
-        return makeRaindropAPICall(url, options, attempt + 1);
-      } else {
-        throw new Error(`Raindrop rate limited after ${maxRetries} retries`);
-      }
-    }
-    
-    // Handle other HTTP errors
-    if (!response.ok) {
-      let errorData;
-      try {
-        errorData = await response.json();
-      } catch {
-        errorData = { message: `HTTP ${response.status}: ${response.statusText}` };
-      }
-      
-      // Some errors are worth retrying (5xx, timeouts)
-      const retryableStatuses = [500, 502, 503, 504];
-      if (retryableStatuses.includes(response.status) && attempt < maxRetries) {
-        console.log(`🔄 Raindrop retryable error ${response.status}, attempt ${attempt + 1}/${maxRetries + 1}`);
-        return makeRaindropAPICall(url, options, attempt + 1);
-      }
-      
-      throw new Error(`Raindrop API error (${response.status}): ${errorData.message || response.statusText}`);
-    }
-    
-    return await response.json();
-    
-  } catch (error) {
-    // Handle network errors with retry
-    if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT' || error.type === 'request-timeout') {
-      if (attempt < maxRetries) {
-        console.log(`🌐 Raindrop network error, retrying... (attempt ${attempt + 1}/${maxRetries + 1})`);
-        return makeRaindropAPICall(url, options, attempt + 1);
-      }
-    }
-    
-    console.error(`❌ Raindrop API call failed:`, error.message);
-    throw error;
-  }
-}
+// Raindrop allows 120 requests a minute; its x-ratelimit headers slow the bucket further when needed
+const makeRaindropAPICall = createHttpClient({
+  name: 'raindrop',
+  label: 'Raindrop',
+  requestsPerSecond: 2,
+  minRequestsPerSecond: 0.2,
+  burst: 4,
+  getHeaders: () => ({ 'Authorization': `Bearer ${process.env.RAINDROP_TOKEN}` })
+});
 
 /**
- * Get total count of bookmarks in Raindrop with retry logic
+ * Get total count of bookmarks in Raindrop (or in one collection) with retry logic
  */
-async function getRaindropTotal() {
+async function getRaindropTotal(collectionId = 0) {
   try {
-    console.log('🔢 Getting Raindrop total count...');
+    console.log(`🔢 Getting Raindrop total count${collectionId ? ` for collection ${collectionId}` : ''}...`);
     
-    const data = await makeRaindropAPICall('https://api.raindrop.io/rest/v1/raindrops/0?perpage=1');
+    const data = await makeRaindropAPICall(`https://api.raindrop.io/rest/v1/raindrops/${collectionId}?perpage=1`);
     
     const total = data.count || 0;
     console.log(`📊 Total Raindrop bookmarks: ${total}`);
@@ -224,68 +136,57 @@ async function getAllRaindrops(limit = 0) {
 }
 
 /**
- * Get recent raindrops with enhanced date filtering and error handling
+ * Get every raindrop changed since a timestamp, newest first.
+ * Raindrop has no documented lastUpdate sort, so results can't be cut off at the first
+ * older item: a lastUpdate search narrows them (by day), every page is read, and
+ * lastUpdate is checked here. Returns { items, truncated }; truncated means the page
+ * limit was hit, so changes may be missing and the caller must not advance its watermark.
  */
-async function getRecentRaindrops(hours = 24) {
-  console.log(`🔄 Fetching raindrops from the last ${hours} hours...`);
+async function getRaindropsUpdatedSince(since) {
+  const cutoff = new Date(since).getTime();
+  console.log(`🔄 Fetching raindrops updated since ${new Date(cutoff).toISOString()}...`);
+  
+  // The search operator only takes dates, so start a day early and filter exactly below
+  const searchDay = new Date(cutoff - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const search = encodeURIComponent(`lastUpdate:>${searchDay}`);
+  
+  const items = [];
+  const perPage = RATE_LIMIT_CONFIG.pageSize;
+  let page = 0;
+  let hasMore = true;
   
   try {
-    // Calculate timestamp for filtering
-    const timestamp = Date.now() - (hours * 60 * 60 * 1000);
-    const dateStr = new Date(timestamp).toISOString();
-    
-    console.log(`📅 Looking for items created after: ${dateStr}`);
-    
-    // Use search endpoint with date filter
-    const searchUrl = `https://api.raindrop.io/rest/v1/raindrops/0?search=created:>${dateStr}&perpage=${RATE_LIMIT_CONFIG.pageSize}`;
-    
-    const data = await makeRaindropAPICall(searchUrl);
-    
-    const items = data.items || [];
-    
-    console.log(`✅ Found ${items.length} recent bookmarks (last ${hours} hours)`);
-    
-    // Additional client-side filtering for extra safety
-    const now = Date.now();
-    const filteredItems = items.filter(item => {
-      if (!item.created) return true; // Include if no creation date
+    while (hasMore && page < RATE_LIMIT_CONFIG.maxPages) {
+      const data = await makeRaindropAPICall(
+        `https://api.raindrop.io/rest/v1/raindrops/0?search=${search}&sort=-created&page=${page}&perpage=${perPage}`
+      );
       
-      const itemDate = new Date(item.created).getTime();
-      const ageHours = (now - itemDate) / (1000 * 60 * 60);
+      const batch = data.items || [];
+      for (const item of batch) {
+        const updatedAt = new Date(item.lastUpdate || item.created).getTime();
+        if (updatedAt >= cutoff) {
+          items.push(item);
+        }
+      }
       
-      return ageHours <= hours;
-    });
+      hasMore = batch.length === perPage;
+      page++;
+      console.log(`📄 Page ${page}: ${batch.length} items (total changed: ${items.length})`);
+    }
     
-    if (filteredItems.length !== items.length) {
-      console.log(`🔍 Client-side filtering: ${filteredItems.length}/${items.length} items within ${hours}h window`);
+    const truncated = hasMore;
+    if (truncated) {
+      console.warn(`⚠️ Reached maximum page limit (${RATE_LIMIT_CONFIG.maxPages}) before the last page; some changes were not fetched`);
     }
     
-    return filteredItems;
+    items.sort((a, b) => new Date(b.lastUpdate || b.created) - new Date(a.lastUpdate || a.created));
     
-  } catch (error) {
-    console.error('❌ Error fetching recent raindrops:', error.message);
+    console.log(`✅ Found ${items.length} raindrops updated since the cutoff`);
+    return { items, truncated };
     
-    // Fallback: try to get regular raindrops and filter client-side
-    console.log('🔄 Falling back to regular fetch with client-side filtering...');
-    
-    try {
-      const fallbackItems = await getAllRaindrops(100); // Get recent 100 items
-      const now = Date.now();
-      const hoursCutoff = hours * 60 * 60 * 1000;
-      
-      const recentItems = fallbackItems.filter(item => {
-        if (!item.created) return false;
-        const itemAge = now - new Date(item.created).getTime();
-        return itemAge <= hoursCutoff;
-      });
-      
-      console.log(`✅ Fallback filtering found ${recentItems.length} recent items`);
-      return recentItems;
-      
-    } catch (fallbackError) {
-      console.error('❌ Fallback also failed:', fallbackError.message);
-      throw error; // Throw original error
-    }
+  } catch (error) {
+    console.error('❌ Error fetching updated raindrops:', error.message);
+    throw error;
   }
 }
 
@@ -348,6 +249,70 @@ async function getRaindropsFromCollection(collectionId, limit = 0) {
   }
 }
 
+/**
+ * Get all collections (root and nested) as a map of collection ID to title
+ */
+async function getCollections() {
+  console.log('📁 Fetching Raindrop collections...');
+  
+  try {
+    const [rootData, childData] = await Promise.all([
+      makeRaindropAPICall('https://api.raindrop.io/rest/v1/collections'),
+      makeRaindropAPICall('https://api.raindrop.io/rest/v1/collections/childrens')
+    ]);
+    
+    const collections = new Map();
+    for (const collection of [...(rootData.items || []), ...(childData.items || [])]) {
+      collections.set(collection._id, collection.title);
+    }
+    
+    console.log(`✅ Found ${collections.size} collections`);
+    return collections;
+    
+  } catch (error) {
+    console.error('❌ Failed to fetch collections:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single raindrop by ID
+ */
+async function getRaindrop(raindropId) {
+  const data = await makeRaindropAPICall(`https://api.raindrop.io/rest/v1/raindrop/${raindropId}`);
+
+  if (!data.result || !data.item) {
+    throw new Error(data.errorMessage || `Raindrop ${raindropId} not found`);
+  }
+
+  return data.item;
+}
+
+/**
+ * Update a single raindrop (PUT /raindrop/{id}) with the given fields
+ */
+async function updateRaindrop(raindropId, changes) {
+  try {
+    console.log(`✏️ Updating raindrop ${raindropId}: ${Object.keys(changes).join(', ')}`);
+    
+    const data = await makeRaindropAPICall(`https://api.raindrop.io/rest/v1/raindrop/${raindropId}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+    
+    if (!data.result) {
+      throw new Error(data.errorMessage || 'Raindrop rejected the update');
+    }
+    
+    console.log(`✅ Successfully updated raindrop: ${raindropId}`);
+    return data.item;
+    
+  } catch (error) {
+    console.error(`❌ Failed to update raindrop ${raindropId}:`, error.message);
+    throw error;
+  }
+}
+
 /**
  * Health check for Raindrop API connectivity
  */
@@ -388,18 +353,14 @@ async function getRateLimitStatus() {
   console.log('📊 Checking Raindrop rate limit status...');
   
   try {
-    // Make a minimal API call to check headers
-    const response = await fetch('https://api.raindrop.io/rest/v1/raindrops/0?perpage=1', {
-      headers: {
-        'Authorization': `Bearer ${process.env.RAINDROP_TOKEN}`
-      }
-    });
+    // Make a minimal API call; the shared client keeps the rate limit headers
+    await makeRaindropAPICall('https://api.raindrop.io/rest/v1/raindrops/0?perpage=1');
+    const { rateLimit } = getHttpStats().raindrop;
     
     const rateLimitInfo = {
-      limit: response.headers.get('x-ratelimit-limit'),
-      remaining: response.headers.get('x-ratelimit-remaining'),
-      reset: response.headers.get('x-ratelimit-reset'),
-      status: response.status
+      limit: rateLimit ? rateLimit.limit : null,
+      remaining: rateLimit ? rateLimit.remaining : null,
+      reset: rateLimit ? rateLimit.resetAt : null
     };
     
     console.log('📈 Rate limit info:', rateLimitInfo);
@@ -438,9 +399,12 @@ function validateRaindropConfig() {
 module.exports = {
   getRaindropTotal,
   getAllRaindrops,
-  getRecentRaindrops,
+  getRaindropsUpdatedSince,
   searchRaindrops,
   getRaindropsFromCollection,
+  getCollections,
+  getRaindrop,
+  updateRaindrop,
   checkRaindropHealth,
   getRateLimitStatus,
   validateRaindropConfig
@@ -0,0 +1,90 @@
+// File: services/schema-check.js
+'use strict';
+
+const { getPropertyMap } = require('./property-mapping');
+const { DELETION_CONFIG } = require('./deletions');
+
+/**
+ * Properties the sync writes to a database: the property map, plus the status property when mirroring deletions
+ */
+function getExpectedProperties(options = {}) {
+  const expected = getPropertyMap().map(mapping => ({ property: mapping.property, type: mapping.type, field: mapping.field }));
+
+  if (options.mirrorDeletions && !expected.some(entry => entry.property === DELETION_CONFIG.statusProperty)) {
+    expected.push({ property: DELETION_CONFIG.statusProperty, type: 'select', field: 'status' });
+  }
+
+  return expected;
+}
+
+/**
+ * Compare a Notion database (as returned by GET /databases/:id) with the expected properties.
+ * Returns { missing, mistyped, titleProperty, ok }; titleProperty is the database's current title property.
+ */
+function checkDatabaseSchema(database, expected) {
+  const properties = (database && database.properties) || {};
+  const missing = [];
+  const mistyped = [];
+
+  for (const entry of expected) {
+    const actual = properties[entry.property];
+    if (!actual) {
+      missing.push(entry);
+    } else if (actual.type !== entry.type) {
+      mistyped.push({ ...entry, actualType: actual.type });
+    }
+  }
+
+  const titleProperty = Object.keys(properties).find(name => properties[name].type === 'title') || null;
+
+  return { missing, mistyped, titleProperty, ok: missing.length === 0 && mistyped.length === 0 };
+}
+
+/**
+ * Notion schema for a new property of the given type
+ */
+function buildPropertySchema(type) {
+  if (type === 'number') {
+    return { number: { format: 'number' } };
+  }
+  return { [type]: {} };
+}
+
+/**
+ * `properties` payload for PATCH /databases/:id that adds the missing properties.
+ * A database has exactly one title property, so a missing title is provided by renaming the existing one.
+ * Mistyped properties are left alone: changing a type can lose data, so that is up to the user.
+ */
+function buildProvisioningChanges(report) {
+  const changes = {};
+
+  for (const entry of report.missing) {
+    if (entry.type === 'title') {
+      if (report.titleProperty) {
+        changes[report.titleProperty] = { name: entry.property };
+      }
+    } else {
+      changes[entry.property] = buildPropertySchema(entry.type);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * One-line description of a schema report's problems
+ */
+function describeSchemaProblems(report) {
+  return [
+    ...report.missing.map(entry => `missing ${entry.type} property "${entry.property}"`),
+    ...report.mistyped.map(entry => `"${entry.property}" is ${entry.actualType}, expected ${entry.type}`)
+  ].join(', ');
+}
+
+module.exports = {
+  getExpectedProperties,
+  checkDatabaseSchema,
+  buildPropertySchema,
+  buildProvisioningChanges,
+  describeSchemaProblems
+};
@@ -0,0 +1,136 @@
+// File: services/storage.js
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Vercel only allows writes under /tmp, so that is the default location
+const DATA_DIR = process.env.SYNC_DATA_DIR || path.join(os.tmpdir(), 'raindrop-notion-sync');
+
+/**
+ * Whether data files survive a restart: SYNC_DATA_DIR must point outside the OS temp
+ * directory, which Vercel wipes on every cold start
+ */
+function isDataDirDurable() {
+  if (!process.env.SYNC_DATA_DIR) {
+    return false;
+  }
+  const dataDir = path.resolve(DATA_DIR);
+  return [os.tmpdir(), fs.realpathSync(os.tmpdir())].every(tempDir => {
+    const relative = path.relative(tempDir, dataDir);
+    return relative.startsWith('..') || path.isAbsolute(relative);
+  });
+}
+
+/**
+ * Resolve the path of a named JSON data file
+ */
+function getDataFilePath(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+/**
+ * Read a JSON data file, falling back to a default when missing or corrupt
+ */
+function readJsonFile(name, defaultValue) {
+  const filePath = getDataFilePath(name);
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Could not read ${filePath}, starting fresh: ${error.message}`);
+    }
+    return defaultValue;
+  }
+}
+
+/**
+ * Write a JSON data file atomically (write to temp file, then rename)
+ */
+function writeJsonFile(name, data) {
+  const filePath = getDataFilePath(name);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+const STORE_CONFIG = {
+  flushDelayMs: parseInt(process.env.STORE_FLUSH_DELAY_MS || '2000', 10) // Batch window for store writes
+};
+
+// Every store created by createJsonStore, so they can be flushed together
+const openStores = new Set();
+
+/**
+ * In-memory state backed by a JSON data file, loaded on first use.
+ * save() only marks the state as changed; it is written once per batch window,
+ * or straight away by flushStores() (after every sync chunk and request).
+ *   load(stored)     - build the in-memory state from the file contents
+ *   serialize(state) - file contents for the state (updatedAt is added)
+ */
+function createJsonStore(name, { defaultValue, load, serialize }) {
+  let state = null;
+  let dirty = false;
+  let timer = null;
+
+  const store = {
+    get() {
+      if (!state) {
+        state = load(readJsonFile(name, defaultValue));
+      }
+      return state;
+    },
+
+    save() {
+      dirty = true;
+      if (!timer) {
+        timer = setTimeout(store.flush, STORE_CONFIG.flushDelayMs);
+        timer.unref();
+      }
+    },
+
+    flush() {
+      clearTimeout(timer);
+      timer = null;
+      if (!dirty) {
+        return;
+      }
+      writeJsonFile(name, { updatedAt: new Date().toISOString(), ...serialize(state) });
+      dirty = false;
+    }
+  };
+
+  openStores.add(store);
+  return store;
+}
+
+/**
+ * Write every store with unsaved changes
+ */
+function flushStores() {
+  for (const store of openStores) {
+    try {
+      store.flush();
+    } catch (error) {
+      console.error(`❌ Could not write a data store: ${error.message}`);
+    }
+  }
+}
+
+// Pending changes still reach disk when the process exits between batches
+process.on('exit', flushStores);
+
+module.exports = {
+  DATA_DIR,
+  STORE_CONFIG,
+  isDataDirDurable,
+  getDataFilePath,
+  readJsonFile,
+  writeJsonFile,
+  createJsonStore,
+  flushStores
+};
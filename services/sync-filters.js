@@ -0,0 +1,165 @@
+// File: services/sync-filters.js
+'use strict';
+
+const { canonicalizeHost } = require('./url-canonicalizer');
+
+// Conditions a rule can combine; every condition in a rule must match
+const RULE_CONDITIONS = ['tag', 'domain', 'collection', 'type', 'createdAfter', 'createdBefore', 'title', 'url'];
+
+let cachedFilters = null;
+
+/**
+ * Wrap a single value in an array
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate one rule and precompile its regexes and dates
+ */
+function compileRule(rule, label) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`SYNC_FILTERS ${label} must be an object`);
+  }
+
+  const unknown = Object.keys(rule).filter(key => !RULE_CONDITIONS.includes(key));
+  if (unknown.length > 0 || Object.keys(rule).length === 0) {
+    throw new Error(`SYNC_FILTERS ${label} must use only: ${RULE_CONDITIONS.join(', ')}`);
+  }
+
+  const compiled = { rule };
+  const toRegex = (pattern, key) => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`SYNC_FILTERS ${label} has an invalid ${key} regex: ${error.message}`);
+    }
+  };
+  const toDate = (value, key) => {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw new Error(`SYNC_FILTERS ${label} has an invalid ${key} date: ${value}`);
+    }
+    return time;
+  };
+
+  if (rule.tag !== undefined) compiled.tags = toList(rule.tag).map(tag => String(tag).toLowerCase());
+  if (rule.domain !== undefined) compiled.domains = toList(rule.domain).map(domain => canonicalizeHost(String(domain)));
+  if (rule.collection !== undefined) compiled.collections = toList(rule.collection).map(value => (typeof value === 'number' ? value : String(value).toLowerCase()));
+  if (rule.type !== undefined) compiled.types = toList(rule.type).map(type => String(type).toLowerCase());
+  if (rule.createdAfter !== undefined) compiled.createdAfter = toDate(rule.createdAfter, 'createdAfter');
+  if (rule.createdBefore !== undefined) compiled.createdBefore = toDate(rule.createdBefore, 'createdBefore');
+  if (rule.title !== undefined) compiled.title = toRegex(rule.title, 'title');
+  if (rule.url !== undefined) compiled.url = toRegex(rule.url, 'url');
+
+  return compiled;
+}
+
+/**
+ * Include and exclude rules from SYNC_FILTERS (JSON: { "include": [rule], "exclude": [rule] })
+ */
+function getFilters() {
+  if (cachedFilters) {
+    return cachedFilters;
+  }
+
+  let config = {};
+  if (process.env.SYNC_FILTERS) {
+    try {
+      config = JSON.parse(process.env.SYNC_FILTERS);
+    } catch (error) {
+      throw new Error(`SYNC_FILTERS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  cachedFilters = {
+    include: toList(config.include || []).map((rule, index) => compileRule(rule, `include rule ${index + 1}`)),
+    exclude: toList(config.exclude || []).map((rule, index) => compileRule(rule, `exclude rule ${index + 1}`))
+  };
+
+  return cachedFilters;
+}
+
+/**
+ * Whether any rule names a collection by title (so collection titles must be fetched)
+ */
+function filtersNeedCollectionTitles() {
+  const { include, exclude } = getFilters();
+  return [...include, ...exclude].some(compiled => (compiled.collections || []).some(value => typeof value === 'string' && !/^-?\d+$/.test(value)));
+}
+
+/**
+ * Host of a bookmark URL in canonical form, or null
+ */
+function getItemHost(item) {
+  try {
+    return canonicalizeHost(new URL(item.link).hostname);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether every condition of a compiled rule matches the item
+ */
+function ruleMatches(compiled, item, collections) {
+  if (compiled.tags) {
+    const tags = (item.tags || []).map(tag => String(tag).toLowerCase());
+    if (!compiled.tags.some(tag => tags.includes(tag))) return false;
+  }
+
+  if (compiled.domains) {
+    const host = getItemHost(item);
+    if (!host || !compiled.domains.some(domain => host === domain || host.endsWith(`.${domain}`))) return false;
+  }
+
+  if (compiled.collections) {
+    const collectionId = item.collection ? (item.collection.$id !== undefined ? item.collection.$id : item.collection._id) : null;
+    const title = collectionId !== null && collections ? collections.get(collectionId) : null;
+    const matches = compiled.collections.some(value => (
+      String(value) === String(collectionId) || (title && value === title.trim().toLowerCase())
+    ));
+    if (!matches) return false;
+  }
+
+  if (compiled.types && !compiled.types.includes(String(item.type || '').toLowerCase())) return false;
+
+  if (compiled.createdAfter !== undefined || compiled.createdBefore !== undefined) {
+    const created = Date.parse(item.created);
+    if (Number.isNaN(created)) return false;
+    if (compiled.createdAfter !== undefined && created < compiled.createdAfter) return false;
+    if (compiled.createdBefore !== undefined && created >= compiled.createdBefore) return false;
+  }
+
+  if (compiled.title && !compiled.title.test(item.title || '')) return false;
+  if (compiled.url && !compiled.url.test(item.link || '')) return false;
+
+  return true;
+}
+
+/**
+ * Why an item is kept out of Notion, or null when it should be synced.
+ * With include rules, an item must match at least one; any matching exclude rule wins.
+ */
+function getFilterReason(item, collections = null) {
+  const { include, exclude } = getFilters();
+
+  if (include.length > 0 && !include.some(compiled => ruleMatches(compiled, item, collections))) {
+    return 'matches no include rule';
+  }
+
+  const excludedBy = exclude.findIndex(compiled => ruleMatches(compiled, item, collections));
+  if (excludedBy !== -1) {
+    return `excluded by rule ${excludedBy + 1} (${JSON.stringify(exclude[excludedBy].rule)})`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  RULE_CONDITIONS,
+  getFilters,
+  getFilterReason,
+  filtersNeedCollectionTitles
+};
@@ -0,0 +1,38 @@
+// File: services/sync-state.js
+'use strict';
+
+const { createJsonStore } = require('./storage');
+
+const STORE_NAME = 'sync-state';
+
+// mode -> { startedAt, finishedAt } of its last successful run, loaded lazily from disk
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: {},
+  load: ({ updatedAt, ...modes }) => modes,
+  serialize: modes => modes
+});
+
+/**
+ * Get the start time of the last successful run of a sync mode (ms), or null
+ */
+function getLastSuccessfulSync(mode) {
+  const entry = store.get()[mode];
+  return entry && entry.startedAt ? Date.parse(entry.startedAt) : null;
+}
+
+/**
+ * Record a successful run. The start time is the watermark, so changes made
+ * while the run was in progress are picked up by the next one.
+ */
+function setLastSuccessfulSync(mode, startedAt, finishedAt = Date.now()) {
+  store.get()[mode] = {
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString()
+  };
+  store.save();
+}
+
+module.exports = {
+  getLastSuccessfulSync,
+  setLastSuccessfulSync
+};
@@ -0,0 +1,243 @@
+// File: services/tag-rules.js
+'use strict';
+
+const { createJsonStore } = require('./storage');
+
+const STORE_NAME = 'tag-rewrites';
+
+// Notion rejects whole page writes whose multi-select values break these
+const MULTI_SELECT_LIMITS = {
+  nameLength: 100, // Characters per option name
+  options: 100     // Options per property value
+};
+
+const CASE_FOLDING = ['none', 'lower'];
+
+const TAG_REWRITE_CONFIG = {
+  maxEntries: 2000 // Rewrites remembered for the report, oldest dropped first
+};
+
+let cachedRules = null;
+
+// original tag -> { tag, result, reasons, firstSeen }, loaded lazily from disk
+const store = createJsonStore(STORE_NAME, {
+  defaultValue: { tags: {} },
+  load: stored => new Map(Object.entries(stored.tags || {})),
+  serialize: rewrites => ({ tags: Object.fromEntries(rewrites) })
+});
+
+/**
+ * Tag rules from TAG_RULES (JSON: { aliases, caseFolding, hierarchySeparator, ignore })
+ */
+function getTagRules() {
+  if (cachedRules) {
+    return cachedRules;
+  }
+
+  let config = {};
+  if (process.env.TAG_RULES) {
+    try {
+      config = JSON.parse(process.env.TAG_RULES);
+    } catch (error) {
+      throw new Error(`TAG_RULES is not valid JSON: ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('TAG_RULES must be a JSON object');
+    }
+  }
+
+  const aliases = new Map();
+  for (const [from, to] of Object.entries(config.aliases || {})) {
+    if (typeof to !== 'string' || !to.trim()) {
+      throw new Error(`TAG_RULES alias for "${from}" must be a non-empty string`);
+    }
+    aliases.set(from.trim().toLowerCase(), to.trim());
+  }
+
+  const caseFolding = config.caseFolding || 'none';
+  if (!CASE_FOLDING.includes(caseFolding)) {
+    throw new Error(`TAG_RULES caseFolding must be one of: ${CASE_FOLDING.join(', ')}`);
+  }
+
+  if (config.hierarchySeparator !== undefined && (typeof config.hierarchySeparator !== 'string' || !config.hierarchySeparator)) {
+    throw new Error('TAG_RULES hierarchySeparator must be a non-empty string');
+  }
+
+  if (config.ignore !== undefined && !Array.isArray(config.ignore)) {
+    throw new Error('TAG_RULES ignore must be an array of tags');
+  }
+
+  cachedRules = {
+    aliases,
+    caseFolding,
+    hierarchySeparator: config.hierarchySeparator || null,
+    ignore: new Set((config.ignore || []).map(tag => String(tag).trim().toLowerCase()))
+  };
+
+  return cachedRules;
+}
+
+/**
+ * Make a name valid as a Notion select/multi-select option: no commas, at most 100 characters
+ */
+function sanitizeOptionName(name) {
+  return String(name === null || name === undefined ? '' : name)
+    .replace(/,/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MULTI_SELECT_LIMITS.nameLength)
+    .trim();
+}
+
+/**
+ * Run one tag through the rules: alias, hierarchy split, case folding, ignore list, sanitization.
+ * Returns { result, reasons }; result is empty when the tag is ignored.
+ */
+function transformTag(tag, rules = getTagRules()) {
+  const reasons = new Set();
+  const original = String(tag);
+
+  const applyAlias = name => {
+    const target = rules.aliases.get(name.trim().toLowerCase());
+    if (target !== undefined && target !== name) {
+      reasons.add('alias');
+      return target;
+    }
+    return name;
+  };
+  const isIgnored = name => rules.ignore.has(name.trim().toLowerCase());
+
+  if (isIgnored(original)) {
+    return { result: [], reasons: ['ignored'] };
+  }
+
+  let parts = [applyAlias(original)];
+
+  if (rules.hierarchySeparator && parts[0].includes(rules.hierarchySeparator)) {
+    parts = parts[0].split(rules.hierarchySeparator).map(part => part.trim()).filter(Boolean).map(applyAlias);
+    reasons.add('hierarchy');
+  }
+
+  if (rules.caseFolding === 'lower') {
+    const folded = parts.map(part => part.toLowerCase());
+    if (folded.some((part, index) => part !== parts[index])) {
+      reasons.add('case');
+    }
+    parts = folded;
+  }
+
+  const kept = parts.filter(part => !isIgnored(part));
+  if (kept.length < parts.length) {
+    reasons.add('ignored');
+  }
+
+  const result = [];
+  for (const part of kept) {
+    const sanitized = sanitizeOptionName(part);
+    if (sanitized !== part) {
+      reasons.add('sanitized');
+    }
+    if (sanitized && !result.includes(sanitized)) {
+      result.push(sanitized);
+    }
+  }
+
+  return { result, reasons: [...reasons] };
+}
+
+/**
+ * Remember how a tag was rewritten (only written to disk when new or changed)
+ */
+function recordRewrite(tag, result, reasons) {
+  const rewrites = store.get();
+  const existing = rewrites.get(tag);
+  if (existing && JSON.stringify(existing.result) === JSON.stringify(result) && JSON.stringify(existing.reasons) === JSON.stringify(reasons)) {
+    return;
+  }
+
+  if (!existing && rewrites.size >= TAG_REWRITE_CONFIG.maxEntries) {
+    rewrites.delete(rewrites.keys().next().value);
+  }
+  rewrites.set(tag, { tag, result, reasons, firstSeen: existing ? existing.firstSeen : new Date().toISOString() });
+  store.save();
+}
+
+/**
+ * Tags as they are written to Notion: every tag through the rules, duplicates removed,
+ * capped at Notion's option limit. Nothing is recorded, so comparisons and dry runs can call it freely.
+ */
+function transformTags(tags = []) {
+  const rules = getTagRules();
+  const result = [];
+
+  for (const tag of tags) {
+    for (const output of transformTag(tag, rules).result) {
+      if (!result.includes(output)) {
+        result.push(output);
+      }
+    }
+  }
+
+  if (result.length > MULTI_SELECT_LIMITS.options) {
+    console.warn(`⚠️ ${result.length} tags after tag rules, only the first ${MULTI_SELECT_LIMITS.options} are written to Notion`);
+    return result.slice(0, MULTI_SELECT_LIMITS.options);
+  }
+
+  return result;
+}
+
+/**
+ * Record the rewrites of a bookmark's tags for the report, once they have been written to a page
+ */
+function recordTagRewrites(tags = []) {
+  const rules = getTagRules();
+  for (const tag of tags) {
+    const { result, reasons } = transformTag(tag, rules);
+    if (reasons.length > 0) {
+      recordRewrite(String(tag), result, reasons);
+    }
+  }
+}
+
+/**
+ * Raindrop tags that match the tags curated in Notion. A Raindrop tag is kept while everything it
+ * turns into is still in Notion (so "dev/js" survives as long as "dev" and "js" do); Notion tags
+ * that no Raindrop tag produces are added as they are.
+ */
+function restoreRaindropTags(raindropTags = [], notionTags = []) {
+  const rules = getTagRules();
+  const inNotion = new Set(notionTags);
+  const written = new Set(transformTags(raindropTags));
+  const kept = [];
+  const covered = new Set();
+
+  for (const tag of raindropTags) {
+    // Outputs cut by the option limit were never written, so they can't have been removed in Notion
+    const outputs = transformTag(tag, rules).result;
+    if (outputs.every(output => inNotion.has(output) || !written.has(output))) {
+      kept.push(tag);
+      outputs.forEach(output => covered.add(output));
+    }
+  }
+
+  return [...kept, ...notionTags.filter(tag => !covered.has(tag))];
+}
+
+/**
+ * Recorded tag rewrites, alphabetically
+ */
+function listTagRewrites() {
+  const rewrites = store.get();
+  return [...rewrites.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+module.exports = {
+  MULTI_SELECT_LIMITS,
+  getTagRules,
+  sanitizeOptionName,
+  transformTag,
+  transformTags,
+  recordTagRewrites,
+  restoreRaindropTags,
+  listTagRewrites
+};
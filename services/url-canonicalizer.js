@@ -0,0 +1,236 @@
+// File: services/url-canonicalizer.js
+'use strict';
+
+// Query params that only track where a click came from, on any domain ('*' is a prefix wildcard)
+const TRACKING_PARAMS = [
+  'utm_*', 'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'igshid', 'vero_id', 'oly_enc_id', 'oly_anon_id',
+  'ref', 'ref_src', 'ref_url', 's_cid', 'rb_clickid', 'trk', 'amp', 'outputType'
+];
+
+// Leading host labels that serve the same content as the bare host
+const FOLDED_HOST_LABELS = ['www', 'm', 'mobile', 'amp'];
+
+// Hosts that are the same site under another name
+const HOST_ALIASES = {
+  'x.com': 'twitter.com',
+  'old.reddit.com': 'reddit.com',
+  'new.reddit.com': 'reddit.com',
+  'np.reddit.com': 'reddit.com',
+  'youtube-nocookie.com': 'youtube.com',
+  'youtu.be': 'youtube.com'
+};
+
+/**
+ * Per-domain rules (a rule also applies to subdomains):
+ *   keepParams    - only these query params are kept (null keeps everything not dropped)
+ *   dropParams    - extra params to drop on this domain
+ *   trailingSlash - 'strip' (default) or 'keep'
+ *   keepHash      - keep the #fragment (for hash-routed sites)
+ *   rewrite(url)  - built-in only: rewrite the parsed URL before params are filtered
+ */
+const DOMAIN_RULES = {
+  'youtube.com': {
+    keepParams: ['v', 'list'],
+    rewrite(url, originalHost) {
+      // youtu.be/<id>, /shorts/<id>, /embed/<id> and /live/<id> are all /watch?v=<id>
+      const match = originalHost === 'youtu.be'
+        ? url.pathname.match(/^\/([\w-]+)/)
+        : url.pathname.match(/^\/(?:shorts|embed|live)\/([\w-]+)/);
+      if (match) {
+        url.pathname = '/watch';
+        url.searchParams.set('v', match[1]);
+      }
+    }
+  },
+  'news.ycombinator.com': { keepParams: ['id'] },
+  'google.com': { keepParams: ['q'] },
+  'twitter.com': { keepParams: [] },
+  'reddit.com': { keepParams: [] },
+  'medium.com': { keepParams: [] },
+  'amazon.com': { keepParams: [] },
+  'linkedin.com': { keepParams: [] },
+  'stackoverflow.com': { keepParams: [] },
+  'facebook.com': { keepParams: ['id', 'story_fbid', 'v'] }
+};
+
+let cachedRules = null;
+
+/**
+ * Built-in domain rules merged with URL_CANONICAL_RULES (JSON: { "domain": { keepParams, ... } })
+ */
+function getDomainRules() {
+  if (cachedRules) {
+    return cachedRules;
+  }
+
+  let overrides = {};
+  if (process.env.URL_CANONICAL_RULES) {
+    try {
+      overrides = JSON.parse(process.env.URL_CANONICAL_RULES);
+    } catch (error) {
+      throw new Error(`URL_CANONICAL_RULES is not valid JSON: ${error.message}`);
+    }
+  }
+
+  cachedRules = { ...DOMAIN_RULES };
+  for (const [domain, rule] of Object.entries(overrides)) {
+    const key = domain.toLowerCase().replace(/^www\./, '');
+    cachedRules[key] = { ...cachedRules[key], ...rule };
+  }
+
+  return cachedRules;
+}
+
+/**
+ * Rule for a host: the most specific matching domain, or the defaults
+ */
+function getRuleForHost(host) {
+  const rules = getDomainRules();
+  const labels = host.split('.');
+
+  for (let i = 0; i < labels.length - 1; i++) {
+    const domain = labels.slice(i).join('.');
+    if (rules[domain]) {
+      return rules[domain];
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Whether a param name matches a list entry ('utm_*' matches any utm_ param)
+ */
+function matchesParam(name, patterns) {
+  const lower = name.toLowerCase();
+  return patterns.some(pattern => (pattern.endsWith('*')
+    ? lower.startsWith(pattern.slice(0, -1).toLowerCase())
+    : lower === pattern.toLowerCase()));
+}
+
+/**
+ * Lowercase a host and fold www/mobile/AMP labels and known aliases
+ */
+function canonicalizeHost(hostname) {
+  let host = hostname.toLowerCase().replace(/\.$/, '');
+  if (HOST_ALIASES[host]) {
+    return HOST_ALIASES[host];
+  }
+
+  // Fold labels anywhere but the registrable part (m.example.com, en.m.wikipedia.org)
+  const labels = host.split('.');
+  const folded = labels.filter((label, index) => index >= labels.length - 2 || !FOLDED_HOST_LABELS.includes(label));
+  host = folded.join('.');
+
+  return HOST_ALIASES[host] || host;
+}
+
+/**
+ * Unwrap AMP cache and viewer URLs to the page they serve, or return null
+ */
+function unwrapAmpUrl(url) {
+  const host = url.hostname.toLowerCase();
+
+  // https://www-example-com.cdn.ampproject.org/c/s/www.example.com/article
+  if (host.endsWith('.cdn.ampproject.org')) {
+    const match = url.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+    return match ? `${match[1] ? 'https' : 'http'}://${match[2]}${url.search}` : null;
+  }
+
+  // https://www.google.com/amp/s/www.example.com/article
+  if (/(^|\.)google\.[a-z.]+$/.test(host) && url.pathname.startsWith('/amp/')) {
+    const match = url.pathname.match(/^\/amp\/(s\/)?(.+)$/);
+    return match ? `${match[1] ? 'https' : 'http'}://${match[2]}${url.search}` : null;
+  }
+
+  return null;
+}
+
+/**
+ * Canonical form of a URL for matching bookmarks and pages.
+ * Unparseable values are returned trimmed; non-http(s) URLs are returned as parsed.
+ */
+function canonicalizeUrl(rawUrl) {
+  if (typeof rawUrl !== 'string' || !rawUrl.trim()) {
+    return rawUrl;
+  }
+
+  let url;
+  try {
+    url = new URL(rawUrl.trim());
+  } catch {
+    return rawUrl.trim();
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return url.href;
+  }
+
+  const unwrapped = unwrapAmpUrl(url);
+  if (unwrapped) {
+    return canonicalizeUrl(unwrapped);
+  }
+
+  const originalHost = url.hostname.toLowerCase().replace(/^www\./, '');
+  const host = canonicalizeHost(url.hostname);
+  const rule = getRuleForHost(host);
+
+  if (typeof rule.rewrite === 'function') {
+    rule.rewrite(url, originalHost);
+  }
+
+  // Path: drop AMP variants, collapse repeated slashes, then handle the trailing slash
+  let path = url.pathname.replace(/\/{2,}/g, '/').replace(/\/amp\/?$/i, '/').replace(/\.amp(\.html?)?$/i, '$1');
+  if (rule.trailingSlash !== 'keep' && path.length > 1) {
+    path = path.replace(/\/+$/, '') || '/';
+  }
+  if (path === '/') {
+    path = '';
+  }
+
+  // Query: drop tracking params, apply the domain's allow list, sort for a stable key
+  const dropParams = [...TRACKING_PARAMS, ...(rule.dropParams || [])];
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !matchesParam(name, dropParams))
+    .filter(([name]) => !Array.isArray(rule.keepParams) || matchesParam(name, rule.keepParams))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = new URLSearchParams(params).toString();
+
+  const hash = rule.keepHash && url.hash.length > 1 ? url.hash : '';
+
+  return `https://${host}${url.port ? `:${url.port}` : ''}${path}${query ? `?${query}` : ''}${hash}`;
+}
+
+/**
+ * Looser key for fuzzy matching: the canonical URL without fragment, host and path lowercased.
+ * The query is dropped too, except on domains whose keepParams say which params
+ * identify the page (youtube.com/watch?v=, news.ycombinator.com/item?id=).
+ */
+function getLooseUrlKey(rawUrl) {
+  const canonical = canonicalizeUrl(rawUrl);
+  if (typeof canonical !== 'string' || !canonical) {
+    return null;
+  }
+
+  const withoutHash = canonical.replace(/#.*$/, '');
+  let keepQuery = false;
+  try {
+    keepQuery = Array.isArray(getRuleForHost(new URL(withoutHash).hostname).keepParams);
+  } catch {
+    // Not a URL, so there is no query worth keeping
+  }
+
+  // Query values are case-sensitive IDs (youtube.com/watch?v=), so only the part before them is lowercased
+  const [base, query] = withoutHash.split(/\?(.*)$/);
+  return keepQuery && query ? `${base.toLowerCase()}?${query}` : base.toLowerCase();
+}
+
+module.exports = {
+  TRACKING_PARAMS,
+  HOST_ALIASES,
+  DOMAIN_RULES,
+  canonicalizeUrl,
+  canonicalizeHost,
+  getLooseUrlKey
+};
@@ -0,0 +1,86 @@
+// File: services/worker-pool.js
+'use strict';
+
+const WRITE_CONCURRENCY_CONFIG = {
+  default: 3, // Notion averages 3 requests a second, so more workers mostly wait on the rate limiter
+  max: 10
+};
+
+let cachedConcurrency = null;
+
+/**
+ * How many Notion writes run at once, from NOTION_WRITE_CONCURRENCY (1 = one at a time)
+ */
+function getWriteConcurrency() {
+  if (cachedConcurrency) {
+    return cachedConcurrency;
+  }
+
+  const raw = process.env.NOTION_WRITE_CONCURRENCY;
+  if (raw === undefined || raw === '') {
+    cachedConcurrency = WRITE_CONCURRENCY_CONFIG.default;
+    return cachedConcurrency;
+  }
+
+  const value = parseInt(raw, 10);
+  if (String(value) !== raw.trim() || value < 1 || value > WRITE_CONCURRENCY_CONFIG.max) {
+    throw new Error(`NOTION_WRITE_CONCURRENCY must be a whole number from 1 to ${WRITE_CONCURRENCY_CONFIG.max}`);
+  }
+
+  cachedConcurrency = value;
+  return cachedConcurrency;
+}
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` running at once.
+ * Items that share a key from keyOf (e.g. the same Notion page) run one after another in
+ * their original order; items without a key run independently. Resolves when every item
+ * is done, rejecting with the first error a worker threw.
+ */
+async function runWithConcurrency(items, worker, { concurrency = getWriteConcurrency(), keyOf = null } = {}) {
+  // Lanes of [item, index] that must run in order, in the order their first item appears
+  const lanes = [];
+  const laneByKey = new Map();
+
+  items.forEach((item, index) => {
+    const key = keyOf ? keyOf(item) : null;
+    if (key === null || key === undefined || key === '') {
+      lanes.push([[item, index]]);
+      return;
+    }
+    if (!laneByKey.has(key)) {
+      laneByKey.set(key, []);
+      lanes.push(laneByKey.get(key));
+    }
+    laneByKey.get(key).push([item, index]);
+  });
+
+  let nextLane = 0;
+  let firstError = null;
+
+  const runWorker = async () => {
+    while (nextLane < lanes.length) {
+      const lane = lanes[nextLane++];
+      for (const [item, index] of lane) {
+        try {
+          await worker(item, index);
+        } catch (error) {
+          firstError = firstError || error;
+        }
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, lanes.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  if (firstError) {
+    throw firstError;
+  }
+}
+
+module.exports = {
+  WRITE_CONCURRENCY_CONFIG,
+  getWriteConcurrency,
+  runWithConcurrency
+};
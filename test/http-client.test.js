@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Retry logs only add noise here
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+// Each response in turn: a status to reply with, or an error code to throw
+function loadHttpClient(outcomes) {
+  const calls = [];
+  const fetch = async (url, options) => {
+    calls.push(options.method || 'GET');
+    const outcome = outcomes.shift();
+    if (typeof outcome === 'string') {
+      throw Object.assign(new Error(outcome), { code: outcome });
+    }
+    return { ok: outcome < 400, status: outcome, statusText: '', headers: { get: () => null }, json: async () => ({}) };
+  };
+
+  delete require.cache[require.resolve('../services/http-client')];
+  require.cache[require.resolve('node-fetch')] = { id: 'node-fetch', loaded: true, exports: fetch };
+  const httpClient = require('../services/http-client');
+  httpClient.HTTP_CLIENT_CONFIG.backoffBaseDelay = 1;
+
+  let clients = 0;
+  const createClient = () => httpClient.createHttpClient({
+    name: `test-${clients++}`,
+    label: 'Test',
+    requestsPerSecond: 1000,
+    minRequestsPerSecond: 1,
+    burst: 100,
+    getHeaders: () => ({})
+  });
+
+  return { ...httpClient, createClient, calls };
+}
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+  const { parseRetryAfter } = loadHttpClient([]);
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  assert.equal(parseRetryAfter('2', now), 2000);
+  assert.equal(parseRetryAfter(' 1.5 ', now), 1500);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
+
+test('a POST is not sent again after a 5xx or a dropped connection', async () => {
+  const { createClient, calls } = loadHttpClient([503, 'ECONNRESET']);
+  const request = createClient();
+
+  await assert.rejects(request('https://api.example/pages', { method: 'POST' }), /\(503\)/);
+  await assert.rejects(request('https://api.example/pages', { method: 'POST' }), /ECONNRESET/);
+  assert.deepEqual(calls, ['POST', 'POST']);
+});
+
+test('a POST is retried after a 429 or when it never reached the server', async () => {
+  const { createClient, calls } = loadHttpClient([429, 'ECONNREFUSED', 200]);
+
+  await createClient()('https://api.example/pages', { method: 'POST' });
+  assert.equal(calls.length, 3);
+});
+
+test('other requests, and POSTs marked idempotent, are retried after a 5xx', async () => {
+  const { createClient, calls } = loadHttpClient([502, 200, 503, 200]);
+  const request = createClient();
+
+  await request('https://api.example/pages/1', { method: 'PATCH' });
+  await request('https://api.example/databases/1/query', { method: 'POST', idempotent: true });
+  assert.equal(calls.length, 4);
+});
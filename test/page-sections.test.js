@@ -0,0 +1,140 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// An in-memory Notion page body behind a stand-in for node-fetch
+function createFakeNotion() {
+  const pages = new Map();
+  let nextId = 1;
+
+  // Blocks come back the way the API returns them: with ids, plain_text and href
+  function toStoredBlock(block) {
+    const stored = { ...block, id: `block-${nextId++}` };
+    const content = block[block.type];
+    if (content && content.rich_text) {
+      stored[block.type] = {
+        ...content,
+        rich_text: content.rich_text.map(part => ({
+          ...part,
+          plain_text: part.text.content,
+          href: part.text.link ? part.text.link.url : null
+        }))
+      };
+    }
+    return stored;
+  }
+
+  function reply(body) {
+    return { ok: true, status: 200, headers: { get: () => null }, json: async () => body };
+  }
+
+  async function fetch(url, options = {}) {
+    const method = options.method || 'GET';
+    const body = options.body ? JSON.parse(options.body) : {};
+    const { pathname } = new URL(url);
+    let match;
+
+    if ((match = pathname.match(/\/blocks\/([^/]+)\/children$/))) {
+      const children = pages.get(match[1]) || [];
+      pages.set(match[1], children);
+      if (method === 'GET') {
+        return reply({ results: children, has_more: false });
+      }
+      const created = body.children.map(toStoredBlock);
+      const at = body.after ? children.findIndex(block => block.id === body.after) + 1 : children.length;
+      children.splice(at, 0, ...created);
+      return reply({ results: created });
+    }
+
+    if ((match = pathname.match(/\/blocks\/([^/]+)$/))) {
+      for (const children of pages.values()) {
+        const index = children.findIndex(block => block.id === match[1]);
+        if (index === -1) {
+          continue;
+        }
+        if (method === 'DELETE') {
+          children.splice(index, 1);
+        } else {
+          Object.assign(children[index], toStoredBlock({ ...children[index], ...body }), { id: match[1] });
+        }
+      }
+      return reply({});
+    }
+
+    return reply({ id: 'page-1' });
+  }
+
+  return { pages, fetch, addBlocks: (pageId, blocks) => pages.set(pageId, [...(pages.get(pageId) || []), ...blocks.map(toStoredBlock)]) };
+}
+
+// Load the services fresh against an empty data directory, as after a cold start
+function loadNotionService(fakeNotion) {
+  process.env.SYNC_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'page-sections-'));
+  for (const key of Object.keys(require.cache)) {
+    if (key.includes(`${path.sep}services${path.sep}`)) {
+      delete require.cache[key];
+    }
+  }
+  require.cache[require.resolve('node-fetch')] = { id: 'node-fetch', loaded: true, exports: fakeNotion.fetch };
+  return require('../services/notion');
+}
+
+function headingTexts(blocks) {
+  return blocks.filter(block => block.type === 'heading_2').map(block => block.heading_2.rich_text.map(part => part.plain_text).join(''));
+}
+
+const item = {
+  _id: 1,
+  title: 'Article',
+  link: 'https://example.com/article',
+  highlights: [{ text: 'First highlight', color: 'yellow' }]
+};
+
+test('a page is rebuilt with an empty store without duplicating its highlights', async () => {
+  const fakeNotion = createFakeNotion();
+
+  await loadNotionService(fakeNotion).updateNotionPage('page-1', item);
+  assert.deepEqual(headingTexts(fakeNotion.pages.get('page-1')).filter(text => text === 'Highlights'), ['Highlights']);
+
+  // The store is gone, so every section looks changed again
+  const changed = { ...item, highlights: [...item.highlights, { text: 'Second highlight', color: 'blue' }] };
+  await loadNotionService(fakeNotion).updateNotionPage('page-1', changed);
+
+  const blocks = fakeNotion.pages.get('page-1');
+  assert.deepEqual(headingTexts(blocks).filter(text => text === 'Highlights'), ['Highlights']);
+  assert.deepEqual(blocks.filter(block => block.type === 'quote').map(block => block.quote.rich_text[0].plain_text), ['First highlight', 'Second highlight']);
+});
+
+test('a Highlights heading the user wrote is left alone', async () => {
+  const fakeNotion = createFakeNotion();
+  fakeNotion.addBlocks('page-1', [
+    { object: 'block', type: 'heading_2', heading_2: { rich_text: [{ type: 'text', text: { content: 'Highlights' } }] } },
+    { object: 'block', type: 'quote', quote: { rich_text: [{ type: 'text', text: { content: 'My own quote' } }] } },
+    { object: 'block', type: 'divider', divider: {} }
+  ]);
+
+  await loadNotionService(fakeNotion).updateNotionPage('page-1', item);
+
+  const quotes = fakeNotion.pages.get('page-1').filter(block => block.type === 'quote').map(block => block.quote.rich_text[0].plain_text);
+  assert.deepEqual(quotes, ['My own quote', 'First highlight']);
+});
+
+test('excerpt and note sections are not duplicated after the store is lost', async () => {
+  const fakeNotion = createFakeNotion();
+  fakeNotion.addBlocks('page-1', [
+    { object: 'block', type: 'heading_2', heading_2: { rich_text: [{ type: 'text', text: { content: 'Note' } }] } },
+    { object: 'block', type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: 'Written by hand' } }] } }
+  ]);
+  const withText = { ...item, highlights: [], excerpt: 'The excerpt', note: 'The note' };
+
+  await loadNotionService(fakeNotion).updateNotionPage('page-1', withText);
+  await loadNotionService(fakeNotion).updateNotionPage('page-1', { ...withText, note: 'The edited note' });
+
+  const blocks = fakeNotion.pages.get('page-1');
+  assert.deepEqual(headingTexts(blocks), ['Note', 'Excerpt', 'Note']);
+  assert.deepEqual(blocks.filter(block => block.type === 'paragraph').map(block => block.paragraph.rich_text[0].plain_text), ['Written by hand', 'The excerpt', 'The edited note']);
+});
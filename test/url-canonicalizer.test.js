@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Rules are read once, so the override used by the trailing slash tests is set before loading the module
+process.env.URL_CANONICAL_RULES = JSON.stringify({ 'slash.example': { trailingSlash: 'keep' } });
+
+const { canonicalizeUrl, canonicalizeHost, getLooseUrlKey } = require('../services/url-canonicalizer');
+
+test('youtube watch, youtu.be and shorts URLs share one form', () => {
+  assert.equal(canonicalizeUrl('https://www.youtube.com/watch?v=abc123&t=42&feature=share'), 'https://youtube.com/watch?v=abc123');
+  assert.equal(canonicalizeUrl('https://youtu.be/abc123?si=xyz'), 'https://youtube.com/watch?v=abc123');
+  assert.equal(canonicalizeUrl('https://www.youtube.com/shorts/abc123'), 'https://youtube.com/watch?v=abc123');
+  assert.equal(canonicalizeUrl('https://www.youtube.com/embed/abc123'), 'https://youtube.com/watch?v=abc123');
+  assert.equal(canonicalizeUrl('https://www.youtube.com/watch?v=abc123&list=PL1'), 'https://youtube.com/watch?list=PL1&v=abc123');
+});
+
+test('AMP cache and viewer URLs unwrap to the page they serve', () => {
+  assert.equal(canonicalizeUrl('https://www-example-com.cdn.ampproject.org/c/s/www.example.com/article'), 'https://example.com/article');
+  assert.equal(canonicalizeUrl('https://www.google.com/amp/s/www.example.com/post/amp/'), 'https://example.com/post');
+  assert.equal(canonicalizeUrl('https://example.com/story.amp.html'), 'https://example.com/story.html');
+});
+
+test('www and mobile host labels are folded', () => {
+  assert.equal(canonicalizeUrl('https://www.example.com/a'), 'https://example.com/a');
+  assert.equal(canonicalizeUrl('https://m.example.com/a'), 'https://example.com/a');
+  assert.equal(canonicalizeUrl('http://en.m.wikipedia.org/wiki/URL'), 'https://en.wikipedia.org/wiki/URL');
+  assert.equal(canonicalizeHost('WWW.Example.COM.'), 'example.com');
+  // The registrable part is never folded
+  assert.equal(canonicalizeHost('m.com'), 'm.com');
+});
+
+test('host aliases map to one site', () => {
+  assert.equal(canonicalizeUrl('https://x.com/user/status/1?s=20'), 'https://twitter.com/user/status/1');
+  assert.equal(canonicalizeUrl('https://old.reddit.com/r/node/'), 'https://reddit.com/r/node');
+  assert.equal(canonicalizeUrl('https://www.youtube-nocookie.com/embed/abc123'), 'https://youtube.com/watch?v=abc123');
+});
+
+test('utm_* and other tracking params are dropped and the rest sorted', () => {
+  assert.equal(canonicalizeUrl('https://example.com/a?utm_source=x&utm_medium=y&UTM_Campaign=z'), 'https://example.com/a');
+  assert.equal(canonicalizeUrl('https://example.com/a?b=2&fbclid=1&a=1&gclid=2'), 'https://example.com/a?a=1&b=2');
+});
+
+test('keepParams keeps only the params that identify the page', () => {
+  assert.equal(canonicalizeUrl('https://news.ycombinator.com/item?id=123&p=2'), 'https://news.ycombinator.com/item?id=123');
+  assert.equal(canonicalizeUrl('https://medium.com/@someone/post-1?source=rss'), 'https://medium.com/@someone/post-1');
+  assert.equal(canonicalizeUrl('https://www.google.com/search?q=notion&hl=en'), 'https://google.com/search?q=notion');
+});
+
+test('trailing slashes are stripped unless the domain keeps them', () => {
+  assert.equal(canonicalizeUrl('https://example.com/a/'), 'https://example.com/a');
+  assert.equal(canonicalizeUrl('https://example.com/'), 'https://example.com');
+  assert.equal(canonicalizeUrl('https://example.com//a///b//'), 'https://example.com/a/b');
+  assert.equal(canonicalizeUrl('https://slash.example/docs/'), 'https://slash.example/docs/');
+});
+
+test('non-http and unparseable values pass through', () => {
+  assert.equal(canonicalizeUrl('  not a url  '), 'not a url');
+  assert.equal(canonicalizeUrl('mailto:me@example.com'), 'mailto:me@example.com');
+  assert.equal(canonicalizeUrl(''), '');
+  assert.equal(canonicalizeUrl(null), null);
+});
+
+test('loose keys drop the query except where it identifies the page', () => {
+  assert.equal(getLooseUrlKey('https://example.com/Post?page=2#top'), 'https://example.com/post');
+  assert.notEqual(getLooseUrlKey('https://youtu.be/abc123'), getLooseUrlKey('https://youtu.be/def456'));
+  assert.notEqual(getLooseUrlKey('https://news.ycombinator.com/item?id=1'), getLooseUrlKey('https://news.ycombinator.com/item?id=2'));
+});
+
+test('loose keys keep the case of the query values they keep', () => {
+  assert.equal(getLooseUrlKey('https://www.YouTube.com/Watch?v=dQw4w9WgXcQ'), 'https://youtube.com/watch?v=dQw4w9WgXcQ');
+  assert.notEqual(getLooseUrlKey('https://youtu.be/abcDEF'), getLooseUrlKey('https://youtu.be/abcdef'));
+});